@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+// train.js
+// -----------------------------------------------------------------------------
+// Headless training and evaluation of the week3 MF model and the week4 two-tower
+// model on local MovieLens files — the same code the pages run, on the pure-JS
+// TF.js CPU backend. Progress goes to stderr; metrics and top-N recommendations
+// go to --out (or stdout) as JSON.
+//
+//   node cli/train.js --model mf --data week3 --epochs 10 --k 32 --out mf.json
+//   node cli/train.js --model two-tower --data ml-latest-small.zip --holdout 0.2
+//   node cli/train.js --model two-tower --data ml-100k.zip --demographics compare
+//
+// `npm install` in the repository root first (@tensorflow/tfjs); `node cli/train.js --help`
+// lists every flag.
+// -----------------------------------------------------------------------------
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseArgs } = require('util');
+const { File } = require('buffer');
+
+const ROOT = path.join(__dirname, '..');
+
+const USAGE = `Usage: node cli/train.js --model mf|two-tower --data <dir | files... | .zip> [flags]
+
+  --data        a directory with a movies + ratings pair (u.item + u.data, movies.dat + ratings.dat,
+                movies.csv + ratings.csv) and its users file if any (u.user, users.dat), the files,
+                or a MovieLens .zip (repeat for several files)
+  --out         JSON output file (default: stdout)
+  --seed        seed for splits, shuffles and weight init (default 42)
+  --top-n       recommendations per user (default 10)
+  --users       raw user IDs to recommend for, comma-separated, or "all" (default: the first 5 users)
+  --epochs, --batch-size, --lr, --eval-k   as in the pages
+
+MF (week3; defaults as on the page):
+  --k 16  --lambda 1e-4  --variant mf|svdpp  --solver sgd|als|wrmf  --als-lambda 0.1  --alpha 2
+  --split random|time-global|user-chrono|leave-last-n  --train-frac 0.9  --leave-out 1
+  --patience 3  --lr-schedule constant|step|cosine|plateau  --eval-threshold 4
+
+Two-tower (week4; defaults as in app.js):
+  --emb-dim 16  --user-hidden 32  --item-hidden 32  --l2 5e-5  --loss softmax|bpr
+  --cap-pos 30  --pos-threshold 4
+  --holdout 0.2   share of each user's positives held out for recall / NDCG (0: train on all, no metrics)
+  --demographics auto|on|off|compare   age, gender, occupation and zip region from the users file in
+                the user tower; auto = when the data has one, compare = train without and with, same split
+`;
+
+const OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  model: { type: 'string', default: 'mf' },
+  data: { type: 'string', multiple: true },
+  out: { type: 'string' },
+  seed: { type: 'string' },
+  'top-n': { type: 'string', default: '10' },
+  users: { type: 'string' },
+  epochs: { type: 'string' },
+  'batch-size': { type: 'string' },
+  lr: { type: 'string' },
+  'eval-k': { type: 'string' },
+  // MF
+  k: { type: 'string' },
+  lambda: { type: 'string' },
+  variant: { type: 'string' },
+  solver: { type: 'string' },
+  'als-lambda': { type: 'string' },
+  alpha: { type: 'string' },
+  split: { type: 'string' },
+  'train-frac': { type: 'string' },
+  'leave-out': { type: 'string' },
+  patience: { type: 'string' },
+  'lr-schedule': { type: 'string' },
+  'eval-threshold': { type: 'string' },
+  // Two-tower
+  'emb-dim': { type: 'string' },
+  'user-hidden': { type: 'string' },
+  'item-hidden': { type: 'string' },
+  l2: { type: 'string' },
+  loss: { type: 'string' },
+  'cap-pos': { type: 'string' },
+  'pos-threshold': { type: 'string' },
+  holdout: { type: 'string' },
+  demographics: { type: 'string' }
+};
+
+// app.js CONFIG values, so a CLI run matches a page run with the same seed
+const TWO_TOWER_DEFAULTS = {
+  embDim: 16, userHidden: 32, itemHidden: 32, normalize: true, l2: 5e-5, lr: 0.002, loss: 'softmax',
+  epochs: 2, batchSize: 256, capPos: 30, posThreshold: 4, holdout: 0.2, evalK: 10
+};
+
+const DEFAULT_USER_COUNT = 5;
+
+// stdout is for the JSON; the engines' own console.log lines go to stderr as well
+const log = (...args) => console.error(...args);
+console.log = log;
+
+// ----------------------------- Arguments --------------------------------------
+
+class UsageError extends Error {}
+
+function readArgs(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  return values;
+}
+
+// Numeric flag, or fallback when absent
+function num(values, name, fallback, { int = false, min = -Infinity, max = Infinity } = {}) {
+  if (values[name] === undefined) return fallback;
+  const n = Number(values[name]);
+  if (!Number.isFinite(n) || (int && !Number.isInteger(n)) || n < min || n > max) {
+    throw new UsageError(`--${name} must be ${int ? 'an integer' : 'a number'} in [${min}, ${max}], got "${values[name]}".`);
+  }
+  return n;
+}
+
+function choice(values, name, allowed, fallback) {
+  const v = values[name] ?? fallback;
+  if (!allowed.includes(v)) throw new UsageError(`--${name} must be one of ${allowed.join(', ')}, got "${v}".`);
+  return v;
+}
+
+// ----------------------------- Data -------------------------------------------
+
+/**
+ * The --data paths as File objects for MovieLens.readDatasetFiles: a directory gives its first
+ * FILE_CANDIDATES pair (plus the pair's users file when present), anything else is read as is.
+ * @returns {File[]}
+ */
+function readDataFiles(paths, candidates) {
+  if (!paths?.length) throw new UsageError('--data is required.');
+  const files = [];
+  for (const p of paths) {
+    if (!fs.existsSync(p)) throw new Error(`${p} does not exist.`);
+    if (fs.statSync(p).isDirectory()) {
+      const pair = candidates.find(c => fs.existsSync(path.join(p, c.item)) && fs.existsSync(path.join(p, c.data)));
+      if (!pair) {
+        throw new Error(`No MovieLens files in ${p} (looked for ${candidates.map(c => `${c.item} + ${c.data}`).join(', ')}).`);
+      }
+      files.push(readFile(path.join(p, pair.item)), readFile(path.join(p, pair.data)));
+      if (pair.users && fs.existsSync(path.join(p, pair.users))) files.push(readFile(path.join(p, pair.users)));
+    } else {
+      files.push(readFile(p));
+    }
+  }
+  return files;
+}
+
+function readFile(p) {
+  return new File([fs.readFileSync(p)], path.basename(p));
+}
+
+// Raw user IDs to recommend for: --users, "all", or the first few
+function pickUsers(values, userRawIds) {
+  if (values.users === 'all') return userRawIds.slice();
+  if (values.users === undefined) return userRawIds.slice(0, DEFAULT_USER_COUNT);
+  return values.users.split(',').map(s => s.trim()).filter(Boolean).map(s => {
+    const id = Number(s);
+    if (!Number.isInteger(id)) throw new UsageError(`--users: "${s}" is not a user ID.`);
+    return id;
+  });
+}
+
+// ----------------------------- Browser scripts --------------------------------
+
+// TF.js and the shared modules are globals on the pages; the same here
+function loadCommon() {
+  globalThis.tf = loadTf();
+  require(path.join(ROOT, 'shared/movielens.js'));
+  require(path.join(ROOT, 'shared/metrics.js'));
+  require(path.join(ROOT, 'shared/rng.js'));
+}
+
+// Plain tfjs, whose 'cpu' backend gets a linear-time UnsortedSegmentSum: the stock one loops
+// over segments with a tensor op each, and every tf.gather gradient (the MF rows of each SGD
+// batch, SVD++'s Y sums) goes through it
+function loadTf() {
+  const tf = require('@tensorflow/tfjs');
+  tf.unregisterKernel('UnsortedSegmentSum', 'cpu');
+  tf.registerKernel({ kernelName: 'UnsortedSegmentSum', backendName: 'cpu', kernelFunc: unsortedSegmentSumCpu });
+  return tf;
+}
+
+// out[segmentIds[r]] += x[r] over the rows of x; ids outside [0, numSegments) are dropped, as in TF
+function unsortedSegmentSumCpu({ inputs: { x, segmentIds }, backend, attrs: { numSegments } }) {
+  const values = backend.readSync(x.dataId), ids = backend.readSync(segmentIds.dataId);
+  const rowSize = x.shape.slice(1).reduce((a, b) => a * b, 1);
+  const out = x.dtype === 'int32' ? new Int32Array(numSegments * rowSize) : new Float32Array(numSegments * rowSize);
+  for (let r = 0; r < ids.length; r++) {
+    const s = ids[r];
+    if (s < 0 || s >= numSegments) continue;
+    for (let j = 0, o = s * rowSize, xo = r * rowSize; j < rowSize; j++) out[o + j] += values[xo + j];
+  }
+  return backend.makeTensorInfo([numSegments, ...x.shape.slice(1)], x.dtype, out);
+}
+
+// The week3 files are classic scripts sharing top-level names (as importScripts runs them in the worker)
+function importScripts(dir, files) {
+  for (const f of files) {
+    const file = path.join(dir, f);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+  }
+}
+
+// ----------------------------- MF (week3) -------------------------------------
+
+async function runMf(values) {
+  importScripts(path.join(ROOT, 'week3'), ['data.js', 'rng.js', 'als.js', 'model-store.js', 'error-analysis.js', 'mf-engine.js']);
+  Object.assign(engineHooks, {
+    status: text => log(text),
+    split: info => log(info),
+    // implicit (WRMF) runs have no RMSEs (NaN) and no lr; their NDCG comes through rank
+    trainInfo: (epoch, epochs, trainRMSE, valRMSE, lr) => {
+      const parts = [];
+      if (Number.isFinite(trainRMSE)) parts.push(`train RMSE ${trainRMSE.toFixed(4)}`);
+      if (Number.isFinite(valRMSE)) parts.push(`val RMSE ${valRMSE.toFixed(4)}`);
+      if (Number.isFinite(lr)) parts.push(`lr ${lr.toPrecision(3)}`);
+      log(`epoch ${epoch}/${epochs}` + (parts.length ? ` — ${parts.join(', ')}` : ''));
+    },
+    rank: (m, K, epoch) => log(`epoch ${epoch} — NDCG@${K} ${m.ndcg.toFixed(4)}, recall@${K} ${m.recall.toFixed(4)}`)
+  });
+
+  const variant = choice(values, 'variant', ['mf', 'svdpp'], state.model);
+  const params = {
+    k: num(values, 'k', state.k, { int: true, min: 1 }),
+    epochs: num(values, 'epochs', state.epochs, { int: true, min: 1 }),
+    batchSize: num(values, 'batch-size', state.batchSize, { int: true, min: 1 }),
+    lr: num(values, 'lr', state.lr, { min: 0 }),
+    lambda: num(values, 'lambda', state.lambda, { min: 0 }),
+    seed: num(values, 'seed', state.seed, { int: true, min: 0 }),
+    model: variant,
+    solver: choice(values, 'solver', ['sgd', 'als', 'wrmf'], state.solver),
+    alsLambda: num(values, 'als-lambda', state.alsLambda, { min: 0 }),
+    implicitAlpha: num(values, 'alpha', state.implicitAlpha, { min: 0 }),
+    evalK: num(values, 'eval-k', state.evalK, { int: true, min: 1 }),
+    evalThreshold: num(values, 'eval-threshold', state.evalThreshold),
+    evalWhen: 'end',
+    splitStrategy: choice(values, 'split', ['random', 'time-global', 'user-chrono', 'leave-last-n'], state.splitStrategy),
+    trainFrac: num(values, 'train-frac', state.trainFrac, TRAIN_FRAC_RANGE),
+    leaveOutN: num(values, 'leave-out', state.leaveOutN, { int: true, min: 1 }),
+    patience: num(values, 'patience', state.patience, { int: true, min: 0 }),
+    lrSchedule: choice(values, 'lr-schedule', ['constant', 'step', 'cosine', 'plateau'], state.lrSchedule)
+  };
+  if (params.model === 'svdpp' && params.solver !== 'sgd') throw new UsageError('--variant svdpp trains with --solver sgd only.');
+  const topN = num(values, 'top-n', 10, { int: true, min: 1 });
+
+  const format = await loadData(readDataFiles(values.data, MovieLens.FILE_CANDIDATES));
+  attachData();
+  log(`${format}: ${STATS.nUsers} users, ${STATS.nItems} items, ${STATS.nRatings} ratings`);
+
+  const run = await train(params);
+
+  const recommendations = [];
+  for (const rawId of pickUsers(values, rawIdsByDenseIndex(userIndexByRawId))) {
+    const u = userIndexByRawId.get(rawId);
+    if (u === undefined) { log(`Unknown user ${rawId} — skipped.`); continue; }
+    recommendations.push({
+      userId: rawId,
+      items: recommendForUser(u, topN).map(r => ({ rank: r.rank, itemId: r.rawItemId, title: r.title, score: r.pred ?? r.preference }))
+    });
+  }
+
+  return {
+    model: 'mf',
+    dataset: { format, users: STATS.nUsers, items: STATS.nItems, ratings: STATS.nRatings },
+    params,
+    split: state.split.info,
+    metrics: { ...run.metrics, bestEpoch: run.bestEpoch, ranking: run.rank },
+    history: run.history,
+    // WRMF scores are preferences (raw p·q), not ratings on the star scale
+    scoreKind: params.solver === 'wrmf' ? 'preference' : 'predicted rating',
+    recommendations
+  };
+}
+
+// ----------------------------- Two-tower (week4) ------------------------------
+
+async function runTwoTower(values) {
+  require(path.join(ROOT, 'week4/rng.js'));
+  const { TwoTowerModel } = require(path.join(ROOT, 'week4/two-tower.js'));
+  const Pipeline = require(path.join(ROOT, 'week4/pipeline.js'));
+  const D = TWO_TOWER_DEFAULTS;
+
+  const params = {
+    embDim: num(values, 'emb-dim', D.embDim, { int: true, min: 1 }),
+    userHidden: num(values, 'user-hidden', D.userHidden, { int: true, min: 1 }),
+    itemHidden: num(values, 'item-hidden', D.itemHidden, { int: true, min: 1 }),
+    normalize: D.normalize,
+    l2: num(values, 'l2', D.l2, { min: 0 }),
+    lr: num(values, 'lr', D.lr, { min: 0 }),
+    loss: choice(values, 'loss', ['softmax', 'bpr'], D.loss),
+    epochs: num(values, 'epochs', D.epochs, { int: true, min: 1 }),
+    batchSize: num(values, 'batch-size', D.batchSize, { int: true, min: 2 }),
+    capPos: num(values, 'cap-pos', D.capPos, { int: true, min: 0 }),
+    posThreshold: num(values, 'pos-threshold', D.posThreshold),
+    holdout: num(values, 'holdout', D.holdout, { min: 0, max: 0.9 }),
+    evalK: num(values, 'eval-k', D.evalK, { int: true, min: 1 }),
+    seed: num(values, 'seed', 42, { int: true, min: 0 }),
+    demographics: choice(values, 'demographics', ['auto', 'on', 'off', 'compare'], 'auto')
+  };
+  const topN = num(values, 'top-n', 10, { int: true, min: 1 });
+  if (params.demographics === 'compare' && !(params.holdout > 0)) {
+    throw new UsageError('--demographics compare needs --holdout > 0 to measure retrieval.');
+  }
+
+  const ds = await MovieLens.readDatasetFiles(readDataFiles(values.data, MovieLens.FILE_CANDIDATES));
+  const U = ds.userRawIds.length, I = ds.itemRawIds.length;
+  log(`${ds.formatLabel}: ${U} users, ${I} items, ${ds.ratings.length} ratings`);
+
+  const demographics = Pipeline.buildDemographicFeatures(ds);
+  if (!demographics && (params.demographics === 'on' || params.demographics === 'compare')) {
+    throw new Error(`--demographics ${params.demographics} needs a users file (u.user or users.dat) with the ratings; ` +
+      'the bundled week4/data has none — put ML-100K u.user next to its u.data.');
+  }
+  if (params.demographics === 'auto') params.demographics = demographics ? 'on' : 'off';
+  if (demographics) log(`Demographics for ${ds.users.filter(Boolean).length} of ${U} users`);
+
+  const { positives, userSeen } = Pipeline.preparePairs(ds, params.posThreshold);
+  const { train: trainPositives, heldOut } = params.holdout > 0
+    ? Pipeline.splitHoldout(positives, params.holdout, params.seed)
+    : { train: positives, heldOut: new Map() };
+  const pairs = Pipeline.thinPositives(trainPositives, params.capPos, params.seed);
+  const { itemGenres, userGenres } = Pipeline.buildGenreFeatures(ds, pairs, ds.genres.length);
+  log(`${pairs.length} training pairs, ${heldOut.size} users with held-out positives`);
+
+  const K = params.evalK;
+  const evaluate = rank => Pipeline.evaluateRetrieval(rank, heldOut, userSeen, I, K);
+
+  // Trains one model on pairs; with held-out users also measures its retrieval
+  async function trainVariant(useDemographics) {
+    const model = new TwoTowerModel(U, I, params.embDim, {
+      lossType: params.loss, lr: params.lr, userHidden: params.userHidden, itemHidden: params.itemHidden,
+      l2: params.l2, normalize: params.normalize, seed: params.seed
+    });
+    model.setFeatures({ itemGenres, userGenres, userFeatures: useDemographics ? demographics : {} });
+    try {
+      log(`Training ${useDemographics ? 'with' : 'without'} demographics`);
+      const { lossHistory, epochLoss } = await Pipeline.trainEpochs(model, pairs, {
+        epochs: params.epochs, batchSize: params.batchSize, seed: params.seed,
+        onBatch: ({ epoch, meanLoss, done, total }) => {
+          if (done % (total / params.epochs) === 0) log(`epoch ${epoch}/${params.epochs} — loss ${meanLoss.toFixed(4)}`);
+        }
+      });
+      const result = { model, epochLoss, lastBatchLoss: lossHistory[lossHistory.length - 1] ?? NaN };
+      if (heldOut.size) {
+        log(`Evaluating retrieval on ${heldOut.size} users…`);
+        result.retrieval = await evaluate((u, k, seen) => Pipeline.topKDeep(model, u, k, seen));
+      }
+      return result;
+    } catch (err) {
+      model.dispose();
+      throw err;
+    }
+  }
+
+  let without = null;
+  if (params.demographics === 'compare') {
+    without = await trainVariant(false);
+    without.model.dispose();
+  }
+  const { model, epochLoss, lastBatchLoss, retrieval } = await trainVariant(params.demographics !== 'off');
+
+  try {
+    const metrics = { epochLoss, lastBatchLoss, trainPairs: pairs.length };
+    if (heldOut.size) {
+      metrics.retrieval = {
+        K,
+        twoTower: retrieval,
+        contentBaseline: await evaluate((u, k, seen) => Pipeline.topKContent(userGenres, itemGenres, u, k, seen))
+      };
+    }
+    if (without) {
+      metrics.withoutDemographics = { epochLoss: without.epochLoss, lastBatchLoss: without.lastBatchLoss, retrieval: without.retrieval };
+      metrics.demographicsDelta = Object.fromEntries(['precision', 'recall', 'ndcg', 'map', 'hitRate', 'coverage']
+        .map(k => [k, retrieval[k] - without.retrieval[k]]));
+      log(`Retrieval @${K}, without → with demographics:`);
+      for (const [k, d] of Object.entries(metrics.demographicsDelta)) {
+        log(`  ${k.padEnd(10)} ${without.retrieval[k].toFixed(4)} → ${retrieval[k].toFixed(4)} (${d >= 0 ? '+' : ''}${d.toFixed(4)})`);
+      }
+    }
+
+    const recommendations = [];
+    for (const rawId of pickUsers(values, ds.userRawIds)) {
+      const u = ds.userIndex.get(rawId);
+      if (u === undefined) { log(`Unknown user ${rawId} — skipped.`); continue; }
+      const top = await Pipeline.topKDeep(model, u, topN, userSeen.get(u));
+      recommendations.push({
+        userId: rawId,
+        items: top.map(({ i, score }, r) => ({ rank: r + 1, itemId: ds.itemRawIds[i], title: ds.movies[i].title, score }))
+      });
+    }
+
+    return {
+      model: 'two-tower',
+      dataset: { format: ds.formatLabel, users: U, items: I, ratings: ds.ratings.length },
+      params,
+      metrics,
+      recommendations
+    };
+  } finally {
+    model.dispose();
+  }
+}
+
+// ----------------------------- Main -------------------------------------------
+
+const RUNNERS = { mf: runMf, 'two-tower': runTwoTower };
+
+async function main(argv) {
+  const values = readArgs(argv);
+  if (values.help) { process.stdout.write(USAGE); return; }
+  const run = RUNNERS[values.model];
+  if (!run) throw new UsageError(`--model must be one of ${Object.keys(RUNNERS).join(', ')}, got "${values.model}".`);
+
+  loadCommon();
+  await tf.setBackend('cpu');
+  log(`TF.js ${tf.version.tfjs}, backend ${tf.getBackend()}`);
+  const started = Date.now();
+  const result = await run(values);
+  result.seconds = (Date.now() - started) / 1000;
+
+  const json = JSON.stringify(result, null, 2) + '\n';
+  if (values.out) {
+    fs.writeFileSync(values.out, json);
+    log(`Wrote ${values.out}`);
+  } else {
+    process.stdout.write(json);
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  if (err instanceof UsageError) log(`${err.message}\n\n${USAGE}`);
+  else log(err);
+  process.exitCode = 1;
+});
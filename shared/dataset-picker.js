@@ -0,0 +1,148 @@
+// dataset-picker.js
+// -----------------------------------------------------------------------------
+// Dataset picker shared by week2, week3 and week4: drop zone + file input for a
+// movies file and a ratings file (or a .zip with them), parse progress, and the
+// last choice remembered in IndexedDB. Nothing chosen = the app's bundled files.
+// The files are read by MovieLens.readDatasetFiles (movielens.js).
+// -----------------------------------------------------------------------------
+
+(function initDatasetPicker(global) {
+  'use strict';
+
+  const CHOICE_DB_NAME = 'movielens-dataset';
+  const CHOICE_DB_STORE = 'choice';
+  const CHOICE_DB_KEY = 'last';
+
+  // Share of the progress bar per parse stage (ratings dominate)
+  const STAGES = {
+    read:    { label: 'Reading files',   from: 0,    span: 0.1 },
+    movies:  { label: 'Parsing movies',  from: 0.1,  span: 0.1 },
+    ratings: { label: 'Parsing ratings', from: 0.2,  span: 0.7 },
+    index:   { label: 'Indexing',        from: 0.9,  span: 0.1 }
+  };
+
+  /**
+   * @param {HTMLElement} host the picker is built inside it
+   * @param {{onChange?:(files:File[]|null) => void, buttonClass?:string}} [opts]
+   *   onChange runs after the user picks files (null: back to the bundled files)
+   * @returns {{
+   *   ready:Promise<void>, files:() => (File[]|null),
+   *   progress:(stage:string, fraction:number) => void, done:() => void
+   * }} ready resolves once the remembered choice (if any) is restored; progress fits MovieLens' onProgress
+   */
+  function createDatasetPicker(host, { onChange = null, buttonClass = '' } = {}) {
+    host.classList.add('dataset-picker');
+    host.innerHTML = `
+      <div class="dataset-drop" tabindex="0" role="button">
+        <strong>Drop MovieLens files here</strong> or click to choose —
+        a movies file and a ratings file (100K, 1M, 10M or ml-latest), or the .zip
+      </div>
+      <input type="file" multiple hidden accept=".zip,.item,.data,.user,.dat,.csv,.txt">
+      <div class="dataset-choice">
+        <span class="dataset-current">Using the bundled files</span>
+        <button type="button" class="dataset-reset ${buttonClass}" hidden>Use bundled files</button>
+      </div>
+      <div class="dataset-progress" hidden><progress max="1" value="0"></progress> <span></span></div>`;
+    const drop = host.querySelector('.dataset-drop');
+    const input = host.querySelector('input[type=file]');
+    const current = host.querySelector('.dataset-current');
+    const reset = host.querySelector('.dataset-reset');
+    const progressRow = host.querySelector('.dataset-progress');
+    const bar = progressRow.querySelector('progress');
+    const barLabel = progressRow.querySelector('span');
+
+    let chosen = null;
+
+    const show = (files, remembered = false) => {
+      chosen = files;
+      current.textContent = files
+        ? `Using ${files.map(f => f.name).join(' + ')}${remembered ? ' (remembered from last time)' : ''}`
+        : 'Using the bundled files';
+      reset.hidden = !files;
+    };
+
+    const choose = async files => {
+      show(files);
+      try {
+        if (files) await saveChoice(files); else await clearChoice();
+      } catch (err) {
+        console.warn('Could not remember the dataset choice:', err);
+      }
+      onChange?.(files);
+    };
+
+    drop.addEventListener('click', () => input.click());
+    drop.addEventListener('keydown', e => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); input.click(); } });
+    input.addEventListener('change', () => {
+      const files = Array.from(input.files || []);
+      input.value = '';
+      if (files.length) choose(files);
+    });
+    drop.addEventListener('dragover', e => { e.preventDefault(); drop.classList.add('dragover'); });
+    drop.addEventListener('dragleave', () => drop.classList.remove('dragover'));
+    drop.addEventListener('drop', e => {
+      e.preventDefault();
+      drop.classList.remove('dragover');
+      const files = Array.from(e.dataTransfer?.files || []);
+      if (files.length) choose(files);
+    });
+    reset.addEventListener('click', () => choose(null));
+
+    const ready = loadChoice()
+      .then(files => { if (files && !chosen) show(files, true); })
+      .catch(err => console.warn('Could not restore the dataset choice:', err));
+
+    return {
+      ready,
+      files: () => chosen,
+      progress(stage, fraction) {
+        const s = STAGES[stage] || STAGES.read;
+        progressRow.hidden = false;
+        bar.value = s.from + s.span * fraction;
+        barLabel.textContent = `${s.label}… ${Math.round(100 * fraction)}%`;
+      },
+      done() {
+        progressRow.hidden = true;
+      }
+    };
+  }
+
+  // ----------------------------- IndexedDB ------------------------------------
+  // File objects are stored as-is (structured clone), so the choice survives a reload.
+  // One slot per origin: the three apps share the last choice.
+
+  function openChoiceDB() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available.')); return; }
+      const req = indexedDB.open(CHOICE_DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(CHOICE_DB_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function withChoiceStore(mode, fn) {
+    const db = await openChoiceDB();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(CHOICE_DB_STORE, mode);
+        const req = fn(tx.objectStore(CHOICE_DB_STORE));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  const saveChoice = files => withChoiceStore('readwrite', store => store.put({ files, savedAt: new Date().toISOString() }, CHOICE_DB_KEY));
+  const clearChoice = () => withChoiceStore('readwrite', store => store.delete(CHOICE_DB_KEY));
+
+  /** @returns {Promise<File[]|null>} */
+  async function loadChoice() {
+    const saved = await withChoiceStore('readonly', store => store.get(CHOICE_DB_KEY));
+    return saved?.files?.length ? saved.files : null;
+  }
+
+  global.createDatasetPicker = createDatasetPicker;
+})(typeof window !== 'undefined' ? window : globalThis);
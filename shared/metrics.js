@@ -0,0 +1,80 @@
+// metrics.js
+// -----------------------------------------------------------------------------
+// Top-N ranking metrics (binary relevance), shared by the week3 MF evaluation and
+// the week4 two-tower evaluation. Pure JS — the caller produces the ranked lists.
+// -----------------------------------------------------------------------------
+
+(function initMetrics(global) {
+  'use strict';
+
+  /**
+   * Metrics for one user's ranked list.
+   * @param {ArrayLike<number>} recommended item indices, best first (only the first K are used)
+   * @param {Set<number>} relevant held-out relevant items
+   * @param {number} K
+   * @returns {{hits:number,precision:number,recall:number,ndcg:number,ap:number}}
+   */
+  function rankingMetricsAtK(recommended, relevant, K) {
+    const n = Math.min(K, recommended.length);
+    let hits = 0, dcg = 0, apSum = 0;
+    for (let r = 0; r < n; r++) {
+      if (!relevant.has(recommended[r])) continue;
+      hits++;
+      dcg += 1 / Math.log2(r + 2);
+      apSum += hits / (r + 1);          // precision at this cut-off
+    }
+    const ideal = Math.min(relevant.size, K);
+    let idcg = 0;
+    for (let r = 0; r < ideal; r++) idcg += 1 / Math.log2(r + 2);
+
+    return {
+      hits,
+      precision: hits / K,
+      recall: relevant.size ? hits / relevant.size : 0,
+      ndcg: idcg > 0 ? dcg / idcg : 0,
+      ap: ideal > 0 ? apSum / ideal : 0
+    };
+  }
+
+  /**
+   * Averages per-user metrics and tracks catalog coverage.
+   * @param {number} nItems catalog size
+   */
+  function createRankingAccumulator(nItems) {
+    const recommendedItems = new Set();
+    const sum = { precision: 0, recall: 0, ndcg: 0, ap: 0, hit: 0 };
+    let users = 0;
+
+    return {
+      /**
+       * @param {ArrayLike<number>} recommended
+       * @param {Set<number>} relevant
+       * @param {number} K
+       */
+      add(recommended, relevant, K) {
+        const m = rankingMetricsAtK(recommended, relevant, K);
+        for (let r = 0; r < Math.min(K, recommended.length); r++) recommendedItems.add(recommended[r]);
+        sum.precision += m.precision; sum.recall += m.recall;
+        sum.ndcg += m.ndcg; sum.ap += m.ap; sum.hit += m.hits > 0 ? 1 : 0;
+        users++;
+      },
+      /** @returns {{users:number,precision:number,recall:number,ndcg:number,map:number,hitRate:number,coverage:number}} */
+      result() {
+        const d = Math.max(1, users);
+        return {
+          users,
+          precision: sum.precision / d,
+          recall: sum.recall / d,
+          ndcg: sum.ndcg / d,
+          map: sum.ap / d,
+          hitRate: sum.hit / d,
+          coverage: nItems ? recommendedItems.size / nItems : 0
+        };
+      }
+    };
+  }
+
+  global.rankingMetricsAtK = rankingMetricsAtK;
+  global.createRankingAccumulator = createRankingAccumulator;
+  if (typeof module === 'object' && module.exports) module.exports = { rankingMetricsAtK, createRankingAccumulator };
+})(typeof window !== 'undefined' ? window : globalThis);
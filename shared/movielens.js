@@ -0,0 +1,584 @@
+// movielens.js
+// -----------------------------------------------------------------------------
+// MovieLens datasets shared by week2, week3 and week4: loads a movies file and a
+// ratings file, validates them and builds every index the apps use, so identical
+// files give identical dense IDs and genre vectors in all three.
+// Formats (auto-detected): 100K u.item / u.data, 1M and 10M movies.dat / ratings.dat,
+// ml-latest movies.csv / ratings.csv.
+// Files come from the app's folder (fetch) or from the user (File objects, or a .zip
+// holding them — see dataset-picker.js for the page side).
+// Pure JS (no DOM, no TF.js) — works on pages, in Web Workers and in Node.
+// -----------------------------------------------------------------------------
+
+(function initMovieLens(global) {
+  'use strict';
+
+  /** ML-100K u.item genre flag order (19 columns, "unknown" first); other formats name their genres */
+  const GENRES = [
+    "unknown","Action","Adventure","Animation","Children's","Comedy","Crime",
+    "Documentary","Drama","Fantasy","Film-Noir","Horror","Musical",
+    "Mystery","Romance","Sci-Fi","Thriller","War","Western"
+  ];
+
+  // u.item: movieId|title|releaseDate|videoReleaseDate|imdbURL|g0|...|g18
+  const ITEM_FIELDS = 5 + GENRES.length;
+
+  // ml-latest marks movies without genres with this pseudo-genre
+  const NO_GENRES = '(no genres listed)';
+
+  // users.dat (1M) stores occupations as codes 0..20; u.user (100K) spells them out
+  const DAT_OCCUPATIONS = [
+    'other', 'academic/educator', 'artist', 'clerical/admin', 'college/grad student', 'customer service',
+    'doctor/health care', 'executive/managerial', 'farmer', 'homemaker', 'K-12 student', 'lawyer',
+    'programmer', 'retired', 'sales/marketing', 'scientist', 'self-employed', 'technician/engineer',
+    'tradesman/craftsman', 'unemployed', 'writer'
+  ];
+
+  /**
+   * One adapter per file layout. detect sees the first non-empty line of each file;
+   * item / rating / user parse one line into a record, or null for a malformed line. Only formats
+   * that ship a users file have user.
+   * @typedef {{
+   *   label:string,
+   *   detect:(itemLine:string, ratingLine:string) => boolean,
+   *   header?:RegExp,
+   *   genres?:string[],
+   *   item:(line:string) => ({rawId:number, title:string, releaseDate:Date|null, videoReleaseDate:Date|null,
+   *                           imdbUrl:string|null, genres:string[]}|null),
+   *   rating:(line:string) => ({rawU:number, rawI:number, r:number, ts:number}|null),
+   *   user?:(line:string) => (UserRow & {rawId:number}|null)
+   * }} FormatAdapter
+   */
+
+  /** @type {Record<string, FormatAdapter>} */
+  const FORMATS = {
+    ml100k: {
+      label: 'MovieLens 100K: u.item / u.data',
+      detect: (itemLine, ratingLine) => itemLine.split('|').length >= ITEM_FIELDS && /^\d+\t\d+\t[\d.]+(\t\d+)?$/.test(ratingLine),
+      genres: GENRES,   // flag columns, so the vocabulary is the column list
+      item(line) {
+        const p = line.split('|');
+        if (p.length < ITEM_FIELDS) return null;
+        return {
+          rawId: Number(p[0]), title: p[1],
+          releaseDate: parseReleaseDate(p[2]), videoReleaseDate: parseReleaseDate(p[3]), imdbUrl: p[4] || null,
+          genres: GENRES.filter((_, g) => p[5 + g].trim() === '1')
+        };
+      },
+      rating: line => ratingFields(line.split('\t')),
+      user(line) {
+        const p = line.split('|');   // userId|age|gender|occupation|zip
+        if (p.length < 5) return null;
+        return userFields(p[0], p[1], p[2], p[3].trim(), p[4]);
+      }
+    },
+    // 1M and 10M share the layout; 10M has half-star ratings
+    dat: {
+      label: 'MovieLens 1M / 10M: movies.dat / ratings.dat',
+      detect: (itemLine, ratingLine) => /^\d+::.+::/.test(itemLine) && /^\d+::\d+::[\d.]+(::\d+)?$/.test(ratingLine),
+      item(line) {
+        const p = line.split('::');   // MovieID::Title::Genres
+        if (p.length < 3) return null;
+        return namedGenresItem(p[0], p[1], p[2]);
+      },
+      rating: line => ratingFields(line.split('::')),
+      user(line) {
+        const p = line.split('::');   // UserID::Gender::Age::Occupation::Zip-code (10M has no users file)
+        if (p.length < 5) return null;
+        return userFields(p[0], p[2], p[1], DAT_OCCUPATIONS[Number(p[3])], p[4]);
+      }
+    },
+    csv: {
+      label: 'MovieLens latest: movies.csv / ratings.csv',
+      detect: (itemLine, ratingLine) => /^movieId,title,genres/i.test(itemLine) && /^userId,movieId,rating/i.test(ratingLine),
+      header: /^(movieId|userId),/i,
+      item(line) {
+        const p = splitCsvLine(line);   // movieId,title,genres — titles with commas are quoted
+        if (p.length < 3) return null;
+        return namedGenresItem(p[0], p[1], p[2]);
+      },
+      rating: line => ratingFields(line.split(','))
+    }
+  };
+
+  /**
+   * genreVec is a row of genreMatrix; genres lists the names of its set flags.
+   * @typedef {{
+   *   rawId:number, index:number, title:string, year?:number,
+   *   releaseDate:Date|null, videoReleaseDate:Date|null, imdbUrl:string|null,
+   *   genres:string[], genreVec:Float32Array
+   * }} Movie
+   */
+
+  /**
+   * Demographics from the users file. age is years in 100K and the bucket's lower bound in 1M
+   * (1 = under 18, 18, 25, 35, 45, 50, 56); gender is 'M' or 'F'; zip is kept as written.
+   * @typedef {{age:number, gender:string, occupation:string, zip:string}} UserRow
+   */
+
+  /**
+   * Dense IDs follow the files: items in movies-file order, users in order of first appearance in the
+   * ratings file. ratings keep file order; byUser / byItem hold indices into ratings. genres is the
+   * vocabulary (genreMatrix columns): ML-100K's flag columns, otherwise every genre named, sorted.
+   * scale is the rating range seen; step is 0.5 when there are half stars. users is indexed by dense
+   * user ID (null for a user missing from the users file), or null without a users file.
+   * @typedef {{
+   *   format:string, formatLabel:string,
+   *   genres:string[],
+   *   movies:Movie[], itemIndex:Map<number, number>, itemRawIds:number[],
+   *   userIndex:Map<number, number>, userRawIds:number[],
+   *   ratings:{u:number, i:number, r:number, ts:number}[],
+   *   byUser:number[][], byItem:number[][],
+   *   genreMatrix:Float32Array,
+   *   users:(UserRow|null)[]|null,
+   *   stats:{nUsers:number, nItems:number, nRatings:number, mean:number, scale:{min:number, max:number, step:number}},
+   *   skipped:{items:number, ratings:number, users:number}
+   * }} Dataset
+   */
+
+  /**
+   * Parse progress: stage is 'read' | 'movies' | 'ratings' | 'index', fraction in [0,1].
+   * @typedef {(stage:string, fraction:number) => void} ProgressFn
+   */
+
+  // Lines between progress reports while parsing; each report also yields, so a page can repaint
+  const PROGRESS_EVERY = 50000;
+
+  // ----------------------------- Loading --------------------------------------
+
+  // File pairs looked for by loadDataset / readDatasetFiles, in order: the first pair present wins.
+  // The users file is optional and read only next to its pair.
+  const FILE_CANDIDATES = [
+    { item: 'u.item', data: 'u.data', users: 'u.user' },               // 100K
+    { item: 'movies.dat', data: 'ratings.dat', users: 'users.dat' },   // 1M (10M has no users.dat)
+    { item: 'movies.csv', data: 'ratings.csv' }  // ml-latest
+  ];
+
+  /**
+   * Fetch and build the dataset (needs http(s) — pages opened from file:// must use readDatasetFiles).
+   * Without explicit files, the FILE_CANDIDATES pairs are tried in dir; the format is detected from
+   * the contents either way.
+   * @param {{dir?:string, files?:{item:string, data:string, users?:string}, onProgress?:ProgressFn}} [opts]
+   *   dir ends with "/" (or is '')
+   * @returns {Promise<Dataset>}
+   */
+  async function loadDataset({ dir = '', files = null, onProgress = null } = {}) {
+    for (const pair of files ? [files] : FILE_CANDIDATES) {
+      onProgress?.('read', 0);
+      const itemRes = await fetchFile(dir + pair.item);
+      if (!itemRes.ok) {
+        if (files) throw new Error(`Failed to fetch ${dir + pair.item}: ${itemRes.status}`);
+        continue;
+      }
+      const [itemText, dataText, userText] = await Promise.all([
+        itemRes.text(), fetchText(dir + pair.data), pair.users ? fetchOptionalText(dir + pair.users) : null
+      ]);
+      return buildDataset(itemText, dataText, { onProgress, userText });
+    }
+    throw new Error(`No MovieLens files found in "${dir || './'}" (looked for ` +
+      `${FILE_CANDIDATES.map(p => `${p.item} + ${p.data}`).join(', ')}).`);
+  }
+
+  async function fetchFile(url) {
+    try {
+      return await fetch(url);
+    } catch (err) {
+      throw new Error(`Could not fetch ${url} (${err.message}). Pages opened from file:// cannot read ` +
+        'the bundled files — choose or drop the dataset files instead.');
+    }
+  }
+
+  async function fetchText(url) {
+    const res = await fetchFile(url);
+    if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+    return res.text();
+  }
+
+  // null when the server has no such file
+  async function fetchOptionalText(url) {
+    const res = await fetchFile(url);
+    return res.ok ? res.text() : null;
+  }
+
+  /**
+   * Build the dataset from files the user picked: a movies file and a ratings file, or a .zip holding
+   * them (the official MovieLens zips work as downloaded). Files are matched by FILE_CANDIDATES names,
+   * else — for exactly two files with other names, e.g. own exports — by their contents. The users
+   * file is picked up only by name.
+   * @param {(File|Blob & {name:string})[]} files
+   * @param {{onProgress?:ProgressFn}} [opts]
+   * @returns {Promise<Dataset>}
+   */
+  async function readDatasetFiles(files, { onProgress = null } = {}) {
+    onProgress?.('read', 0);
+    const entries = [];
+    for (const file of files) {
+      if (/\.zip$/i.test(file.name)) entries.push(...await readZipEntries(file));
+      else entries.push({ name: file.name, blob: file });
+    }
+
+    let pair = null;
+    const byName = name => entries.find(e => baseName(e.name).toLowerCase() === name);
+    for (const c of FILE_CANDIDATES) {
+      const item = byName(c.item), data = byName(c.data);
+      if (item && data) { pair = { item, data, users: c.users && byName(c.users) }; break; }
+    }
+    if (!pair && entries.length === 2) {
+      const heads = await Promise.all(entries.map(e => e.blob.slice(0, 4096).text()));
+      if (detectsAs(heads[0], heads[1])) pair = { item: entries[0], data: entries[1] };
+      else if (detectsAs(heads[1], heads[0])) pair = { item: entries[1], data: entries[0] };
+    }
+    if (!pair) {
+      throw new Error(`Could not find a movies file and a ratings file among ${entries.map(e => e.name).join(', ')} ` +
+        `(expected ${FILE_CANDIDATES.map(p => `${p.item} + ${p.data}`).join(', ')}, or a .zip with them).`);
+    }
+
+    onProgress?.('read', 0.5);
+    const [itemText, dataText, userText] = await Promise.all([
+      pair.item.blob.text(), pair.data.blob.text(), pair.users ? pair.users.blob.text() : null
+    ]);
+    return buildDataset(itemText, dataText, { onProgress, userText });
+  }
+
+  function detectsAs(itemHead, dataHead) {
+    try { detectFormat(itemHead, dataHead); return true; } catch { return false; }
+  }
+
+  function baseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+  }
+
+  // ----------------------------- Zip ------------------------------------------
+  // Just enough of the zip format for the MovieLens downloads: stored or deflated entries, no zip64.
+  // Only the central directory and the chosen entries are read; inflation uses DecompressionStream.
+
+  /**
+   * @param {Blob & {name:string}} zip
+   * @returns {Promise<{name:string, blob:Blob}[]>} file entries (directories left out)
+   */
+  async function readZipEntries(zip) {
+    const tailStart = Math.max(0, zip.size - 22 - 0xffff);   // end record + longest comment
+    const tail = new DataView(await zip.slice(tailStart).arrayBuffer());
+    let eocd = -1;
+    for (let p = tail.byteLength - 22; p >= 0; p--) {
+      if (tail.getUint32(p, true) === 0x06054b50) { eocd = p; break; }
+    }
+    if (eocd < 0) throw new Error(`${zip.name} is not a zip file.`);
+
+    const count = tail.getUint16(eocd + 10, true);
+    const dirSize = tail.getUint32(eocd + 12, true), dirOffset = tail.getUint32(eocd + 16, true);
+    const dir = new DataView(await zip.slice(dirOffset, dirOffset + dirSize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let n = 0, p = 0; n < count; n++) {
+      if (dir.getUint32(p, true) !== 0x02014b50) throw new Error(`${zip.name}: damaged zip directory.`);
+      const method = dir.getUint16(p + 10, true);
+      const compressedSize = dir.getUint32(p + 20, true);
+      const nameLen = dir.getUint16(p + 28, true), extraLen = dir.getUint16(p + 30, true);
+      const commentLen = dir.getUint16(p + 32, true);
+      const localOffset = dir.getUint32(p + 42, true);
+      const name = decoder.decode(new Uint8Array(dir.buffer, p + 46, nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+      if (name.endsWith('/')) continue;
+      entries.push({ name, method, compressedSize, localOffset });
+    }
+
+    return entries.map(e => ({ name: e.name, blob: lazyZipEntry(zip, e) }));
+  }
+
+  // A Blob-like entry whose text() / slice() inflate on first use
+  function lazyZipEntry(zip, { name, method, compressedSize, localOffset }) {
+    let data = null;
+    const load = async () => {
+      if (data) return data;
+      const local = new DataView(await zip.slice(localOffset, localOffset + 30).arrayBuffer());
+      const start = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+      const raw = zip.slice(start, start + compressedSize);
+      if (method === 0) data = raw;
+      else if (method === 8) data = await new Response(raw.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+      else throw new Error(`${zip.name}: ${name} uses unsupported compression (method ${method}).`);
+      return data;
+    };
+    return {
+      text: async () => (await load()).text(),
+      slice: (a, b) => ({ text: async () => (await load()).slice(a, b).text() })
+    };
+  }
+
+  /**
+   * Detect the format, then parse, validate and index both files. Malformed lines, duplicate movie
+   * IDs and ratings of unknown movies are skipped and counted; a file with nothing usable throws.
+   * The users file is optional: malformed lines are counted, users without ratings ignored.
+   * @param {string} itemText contents of the movies file (u.item, movies.dat, movies.csv)
+   * @param {string} dataText contents of the ratings file (u.data, ratings.dat, ratings.csv)
+   * @param {{onProgress?:ProgressFn, userText?:string|null}} [opts] userText: u.user or users.dat
+   * @returns {Promise<Dataset>}
+   */
+  async function buildDataset(itemText, dataText, { onProgress = null, userText = null } = {}) {
+    const format = detectFormat(itemText, dataText);
+    const adapter = FORMATS[format];
+
+    const { movies, itemIndex, genres, genreMatrix, skipped: skippedItems } = await parseItems(itemText, adapter, onProgress);
+    if (!movies.length) throw new Error(`The movies file has no valid lines for ${adapter.label}.`);
+
+    const { ratings, userIndex, skipped: skippedRatings } = await parseRatings(dataText, adapter, itemIndex, onProgress);
+    if (!ratings.length) throw new Error(`The ratings file has no valid ratings of known movies for ${adapter.label}.`);
+
+    onProgress?.('index', 0);
+    const byUser = Array.from({ length: userIndex.size }, () => []);
+    const byItem = Array.from({ length: movies.length }, () => []);
+    let sum = 0, min = Infinity, max = -Infinity, halfStars = false;
+    ratings.forEach(({ u, i, r }, t) => {
+      byUser[u].push(t);
+      byItem[i].push(t);
+      sum += r;
+      if (r < min) min = r;
+      if (r > max) max = r;
+      if (!Number.isInteger(r)) halfStars = true;
+    });
+    const { users, skipped: skippedUsers } = userText && adapter.user
+      ? await parseUsers(userText, adapter, userIndex)
+      : { users: null, skipped: 0 };
+    onProgress?.('index', 1);
+
+    return {
+      format, formatLabel: adapter.label,
+      genres,
+      movies, itemIndex, itemRawIds: movies.map(m => m.rawId),
+      userIndex, userRawIds: rawIdsByDense(userIndex),
+      ratings, byUser, byItem,
+      genreMatrix,
+      users,
+      stats: {
+        nUsers: userIndex.size, nItems: movies.length, nRatings: ratings.length, mean: sum / ratings.length,
+        scale: { min, max, step: halfStars ? 0.5 : 1 }
+      },
+      skipped: { items: skippedItems, ratings: skippedRatings, users: skippedUsers }
+    };
+  }
+
+  /**
+   * Name of the FORMATS adapter matching the first line of each file.
+   * @param {string} itemText
+   * @param {string} dataText
+   * @returns {string}
+   */
+  function detectFormat(itemText, dataText) {
+    const itemLine = firstLine(itemText), ratingLine = firstLine(dataText);
+    for (const [name, adapter] of Object.entries(FORMATS)) {
+      if (adapter.detect(itemLine, ratingLine)) return name;
+    }
+    throw new Error('Unrecognized MovieLens files: expected u.item + u.data (100K), movies.dat + ratings.dat ' +
+      '(1M, 10M) or movies.csv + ratings.csv (latest).');
+  }
+
+  function firstLine(text) {
+    const m = /^[ \t]*\S[^\r\n]*/m.exec(text.slice(0, 4096));
+    return m ? m[0].trim() : '';
+  }
+
+  // ----------------------------- Parsers --------------------------------------
+
+  // Calls fn for every non-empty trimmed line; reports progress as `stage` and yields every PROGRESS_EVERY lines
+  async function forEachLine(text, stage, onProgress, fn) {
+    const lines = text.split(/\r?\n/);
+    for (let n = 0; n < lines.length; n++) {
+      if (onProgress && n % PROGRESS_EVERY === 0) {
+        onProgress(stage, n / lines.length);
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      const line = lines[n].trim();
+      if (line) fn(line);
+    }
+    onProgress?.(stage, 1);
+  }
+
+  /**
+   * @param {string} text
+   * @param {FormatAdapter} adapter
+   * @param {ProgressFn|null} onProgress
+   * @returns {Promise<{movies:Movie[], itemIndex:Map<number, number>, genres:string[], genreMatrix:Float32Array, skipped:number}>}
+   */
+  async function parseItems(text, adapter, onProgress) {
+    const rows = [];
+    const itemIndex = new Map();
+    let skipped = 0;
+
+    await forEachLine(text, 'movies', onProgress, line => {
+      if (adapter.header?.test(line)) return;
+      const row = adapter.item(line);
+      if (!row || !Number.isInteger(row.rawId) || itemIndex.has(row.rawId)) { skipped++; return; }
+      itemIndex.set(row.rawId, rows.length);
+      rows.push(row);
+    });
+
+    const genres = adapter.genres || Array.from(new Set(rows.flatMap(row => row.genres))).sort();
+    const G = genres.length;
+    const column = new Map(genres.map((g, k) => [g, k]));
+    const genreMatrix = new Float32Array(rows.length * G);
+    const movies = rows.map((row, index) => {
+      const title = row.title || `Movie ${row.rawId}`;
+      const genreVec = genreMatrix.subarray(index * G, (index + 1) * G);
+      for (const g of row.genres) genreVec[column.get(g)] = 1;
+      return {
+        rawId: row.rawId, index, title,
+        year: extractYearFromTitle(title) ?? row.releaseDate?.getUTCFullYear(),
+        releaseDate: row.releaseDate, videoReleaseDate: row.videoReleaseDate, imdbUrl: row.imdbUrl,
+        genres: row.genres, genreVec
+      };
+    });
+
+    return { movies, itemIndex, genres, genreMatrix, skipped };
+  }
+
+  /**
+   * ts = unix seconds (0 when missing).
+   * @param {string} text
+   * @param {FormatAdapter} adapter
+   * @param {Map<number, number>} itemIndex
+   * @param {ProgressFn|null} onProgress
+   * @returns {Promise<{ratings:{u:number, i:number, r:number, ts:number}[], userIndex:Map<number, number>, skipped:number}>}
+   */
+  async function parseRatings(text, adapter, itemIndex, onProgress) {
+    const ratings = [];
+    const userIndex = new Map();
+    let skipped = 0;
+
+    await forEachLine(text, 'ratings', onProgress, line => {
+      if (adapter.header?.test(line)) return;
+      const row = adapter.rating(line);
+      const i = row ? itemIndex.get(row.rawI) : undefined;
+      if (i === undefined) { skipped++; return; }
+
+      if (!userIndex.has(row.rawU)) userIndex.set(row.rawU, userIndex.size);
+      ratings.push({ u: userIndex.get(row.rawU), i, r: row.r, ts: row.ts });
+    });
+    return { ratings, userIndex, skipped };
+  }
+
+  /**
+   * @param {string} text
+   * @param {FormatAdapter} adapter
+   * @param {Map<number, number>} userIndex
+   * @returns {Promise<{users:(UserRow|null)[], skipped:number}>}
+   */
+  async function parseUsers(text, adapter, userIndex) {
+    const users = new Array(userIndex.size).fill(null);
+    let skipped = 0;
+
+    await forEachLine(text, 'users', null, line => {
+      const row = adapter.user(line);
+      if (!row) { skipped++; return; }
+      const u = userIndex.get(row.rawId);
+      if (u !== undefined) users[u] = { age: row.age, gender: row.gender, occupation: row.occupation, zip: row.zip };
+    });
+    return { users, skipped };
+  }
+
+  // userId, itemId, rating[, timestamp] in every format; half stars allowed
+  function ratingFields(p) {
+    const rawU = Number(p[0]), rawI = Number(p[1]), r = Number(p[2]);
+    if (p.length < 3 || !Number.isInteger(rawU) || !Number.isInteger(rawI) || !Number.isFinite(r)) return null;
+    return { rawU, rawI, r, ts: Number(p[3]) || 0 };
+  }
+
+  // One users-file line in 100K field order; null unless id and age are numbers and gender is M / F
+  function userFields(id, age, gender, occupation, zip) {
+    const rawId = Number(id), years = Number(age), g = gender.trim().toUpperCase();
+    if (!Number.isInteger(rawId) || !Number.isFinite(years) || (g !== 'M' && g !== 'F') || !occupation) return null;
+    return { rawId, age: years, gender: g, occupation, zip: zip.trim() };
+  }
+
+  // 1M / 10M / latest movie line: genres are names joined by "|"
+  function namedGenresItem(id, title, genres) {
+    return {
+      rawId: Number(id), title: title.trim(),
+      releaseDate: null, videoReleaseDate: null, imdbUrl: null,
+      genres: genres.split('|').map(g => g.trim()).filter(g => g && g !== NO_GENRES)
+    };
+  }
+
+  // One CSV line; quoted fields may contain commas and "" for a quote
+  function splitCsvLine(line) {
+    const out = [];
+    let field = '', quoted = false;
+    for (let c = 0; c < line.length; c++) {
+      const ch = line[c];
+      if (quoted) {
+        if (ch !== '"') field += ch;
+        else if (line[c + 1] === '"') { field += '"'; c++; }
+        else quoted = false;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',') { out.push(field); field = ''; }
+      else field += ch;
+    }
+    out.push(field);
+    return out;
+  }
+
+  // Year from a title like "Toy Story (1995)"; undefined when absent or implausible
+  function extractYearFromTitle(title) {
+    const m = /\((\d{4})\)\s*$/.exec(title);
+    if (!m) return undefined;
+    const y = Number(m[1]);
+    return y >= 1900 && y <= 2100 ? y : undefined;
+  }
+
+  const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+  // u.item dates look like "01-Jan-1995" (UTC midnight); empty or malformed → null
+  function parseReleaseDate(s) {
+    const m = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec((s || '').trim());
+    if (!m || !(m[2] in MONTHS)) return null;
+    return new Date(Date.UTC(Number(m[3]), MONTHS[m[2]], Number(m[1])));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Titles
+  // ---------------------------------------------------------------------------
+
+  // Articles ignored on both sides, so "The Godfather" matches "Godfather, The (1972)",
+  // "Les Misérables" matches "Misérables, Les (1995)" and "L'Avventura" matches "Avventura"
+  const TITLE_ARTICLES = new Set([
+    'the', 'a', 'an', 'le', 'la', 'les', 'l', 'il', 'el', 'los', 'las', 'der', 'die', 'das'
+  ]);
+
+  /**
+   * A title (or a typed query) as comparable words: lowercase, no accents, apostrophes,
+   * punctuation, trailing "(year)" or articles. An elided "l'" becomes its own word (and so
+   * an article); other apostrophes just go ("Schindler's" → "schindlers").
+   * @param {string} str
+   * @returns {string[]}
+   */
+  function titleTokens(str) {
+    return String(str)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\(\d{4}\)\s*$/, '')
+      .replace(/\bl['’]/g, 'l ')
+      .replace(/['’]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(token => token && !TITLE_ARTICLES.has(token));
+  }
+
+  /**
+   * Whole-title form for exact matching (exclude lists): titleTokens joined by single spaces.
+   * @param {string} str
+   * @returns {string}
+   */
+  function normalizeTitle(str) {
+    return titleTokens(str).join(' ');
+  }
+
+  function rawIdsByDense(index) {
+    const out = new Array(index.size);
+    for (const [raw, dense] of index) out[dense] = raw;
+    return out;
+  }
+
+  global.MovieLens = {
+    GENRES, FORMATS, FILE_CANDIDATES, loadDataset, readDatasetFiles, buildDataset, detectFormat, titleTokens, normalizeTitle
+  };
+  if (typeof module === 'object' && module.exports) module.exports = global.MovieLens;
+})(typeof window !== 'undefined' ? window : globalThis);
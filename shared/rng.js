@@ -0,0 +1,55 @@
+// rng.js
+// -----------------------------------------------------------------------------
+// Seeded pseudo-random numbers (mulberry32), shared by week3 and week4, so a run
+// is reproducible from its seed and the data. Each app names its own independent
+// streams (week3/rng.js, week4/rng.js); TF.js random ops get integer seeds drawn
+// from a stream.
+// -----------------------------------------------------------------------------
+
+(function initRng(global) {
+  'use strict';
+
+  /**
+   * mulberry32: 32-bit state, uniform [0,1). Plenty for shuffles and initialization.
+   * Different streams of one seed are independent: however many numbers one stage
+   * draws, the others see the same sequence.
+   * @param {number} seed
+   * @param {number} [stream] one of the app's stream numbers
+   * @returns {() => number}
+   */
+  function createRng(seed, stream = 0) {
+    let a = (seed ^ Math.imul(stream, 0x9e3779b9)) >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Integer seed for a TF.js random op (tf.randomNormal, initializers), drawn from rand.
+   * @param {() => number} rand
+   * @returns {number}
+   */
+  function nextTensorSeed(rand) {
+    return Math.floor(rand() * 2147483647);
+  }
+
+  /**
+   * Fisher–Yates shuffle in place.
+   * @param {Int32Array|number[]} arr
+   * @param {() => number} rand uniform [0,1) source
+   */
+  function shuffleInPlace(arr, rand) {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = (rand() * (i + 1)) | 0;
+      const t = arr[i]; arr[i] = arr[j]; arr[j] = t;
+    }
+  }
+
+  global.createRng = createRng;
+  global.nextTensorSeed = nextTensorSeed;
+  global.shuffleInPlace = shuffleInPlace;
+  if (typeof module === 'object' && module.exports) module.exports = { createRng, nextTensorSeed, shuffleInPlace };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,135 @@
+// cf.js — Item-item collaborative filtering ("people who liked this also liked")
+// Works on the global `ratings` array filled by data.js; must be loaded after it.
+
+/* ============================
+   Settings
+   ============================ */
+
+// Item pairs rated by fewer common users than this are treated as unrelated
+const CF_MIN_OVERLAP = 5;
+
+// Shrinkage towards 0 for thinly supported pairs: sim · n / (n + CF_SHRINKAGE)
+const CF_SHRINKAGE = 25;
+
+/* ============================
+   Rating indexes
+   ============================ */
+
+// Built lazily from `ratings` the first time CF is used
+let cfIndex = null;
+
+function getRatingIndex() {
+    if (cfIndex && cfIndex.nRatings === ratings.length) return cfIndex;
+
+    const byUser = new Map();   // userId -> Map(itemId -> rating)
+    const byItem = new Map();   // itemId -> Map(userId -> rating)
+    for (const { userId, itemId, rating } of ratings) {
+        if (!byUser.has(userId)) byUser.set(userId, new Map());
+        byUser.get(userId).set(itemId, rating);
+        if (!byItem.has(itemId)) byItem.set(itemId, new Map());
+        byItem.get(itemId).set(userId, rating);
+    }
+
+    const mean = map => {
+        let sum = 0;
+        for (const r of map.values()) sum += r;
+        return map.size ? sum / map.size : 0;
+    };
+    const userMean = new Map();
+    for (const [userId, items] of byUser) userMean.set(userId, mean(items));
+    const itemMean = new Map();
+    for (const [itemId, users] of byItem) itemMean.set(itemId, mean(users));
+
+    cfIndex = { nRatings: ratings.length, byUser, byItem, userMean, itemMean, neighbours: new Map() };
+    return cfIndex;
+}
+
+/* ============================
+   Item-item similarity
+   ============================ */
+
+// Similarities of one item to every item sharing raters with it.
+// method 'adjusted-cosine' centres each rating on its user's mean,
+// method 'pearson' centres it on the item's mean; both sum over co-rating users only.
+// Returns Map(otherItemId -> { sim, overlap }), cached per item and method.
+function getItemNeighbours(itemId, method = 'adjusted-cosine') {
+    const index = getRatingIndex();
+    const cacheKey = `${method}:${itemId}`;
+    const cached = index.neighbours.get(cacheKey);
+    if (cached) return cached;
+
+    const centre = method === 'pearson'
+        ? (userId, id) => index.itemMean.get(id)
+        : userId => index.userMean.get(userId);
+
+    const acc = new Map();   // otherItemId -> { num, sa, sb, n }
+    const raters = index.byItem.get(itemId) || new Map();
+    for (const [userId, rating] of raters) {
+        const a = rating - centre(userId, itemId);
+        for (const [otherId, otherRating] of index.byUser.get(userId)) {
+            if (otherId === itemId) continue;
+            const b = otherRating - centre(userId, otherId);
+            let s = acc.get(otherId);
+            if (!s) {
+                s = { num: 0, sa: 0, sb: 0, n: 0 };
+                acc.set(otherId, s);
+            }
+            s.num += a * b;
+            s.sa += a * a;
+            s.sb += b * b;
+            s.n++;
+        }
+    }
+
+    const neighbours = new Map();
+    for (const [otherId, s] of acc) {
+        if (s.n < CF_MIN_OVERLAP) continue;
+        const denom = Math.sqrt(s.sa) * Math.sqrt(s.sb);
+        if (!(denom > 0)) continue;
+        const sim = (s.num / denom) * s.n / (s.n + CF_SHRINKAGE);
+        neighbours.set(otherId, { sim, overlap: s.n });
+    }
+
+    index.neighbours.set(cacheKey, neighbours);
+    return neighbours;
+}
+
+/* ============================
+   Scoring
+   ============================ */
+
+// Score every item against liked/disliked seed items:
+// score(j) = mean_{i ∈ liked} sim(i, j) − dislikeWeight · mean_{i ∈ disliked} sim(i, j).
+// Each result also names the liked seed that contributed most and its co-rater count.
+function scoreItemItem(likedIds, dislikedIds, { method = 'adjusted-cosine', dislikeWeight = 0.5 } = {}) {
+    const scores = new Map();   // itemId -> { score, support, bestSeedId, bestSim }
+    const entry = itemId => {
+        let e = scores.get(itemId);
+        if (!e) {
+            e = { score: 0, support: 0, bestSeedId: null, bestSim: 0 };
+            scores.set(itemId, e);
+        }
+        return e;
+    };
+
+    for (const seedId of likedIds) {
+        for (const [otherId, { sim, overlap }] of getItemNeighbours(seedId, method)) {
+            const e = entry(otherId);
+            e.score += sim / likedIds.length;
+            if (sim > e.bestSim) {
+                e.bestSim = sim;
+                e.bestSeedId = seedId;
+                e.support = overlap;
+            }
+        }
+    }
+    for (const seedId of dislikedIds) {
+        for (const [otherId, { sim }] of getItemNeighbours(seedId, method)) {
+            entry(otherId).score -= dislikeWeight * sim / dislikedIds.length;
+        }
+    }
+
+    const seedIds = new Set([...likedIds, ...dislikedIds]);
+    for (const seedId of seedIds) scores.delete(seedId);
+    return scores;
+}
@@ -2,80 +2,40 @@
 let movies = [];
 let ratings = [];
 
-// Genre names as defined in the u.item file
-const genreNames = [
-    "Action", "Adventure", "Animation", "Children's", "Comedy",
-    "Crime", "Documentary", "Drama", "Fantasy", "Film-Noir",
-    "Horror", "Musical", "Mystery", "Romance", "Sci-Fi",
-    "Thriller", "War", "Western"
-];
+// Genre vocabulary of the loaded dataset (100K: the 19 u.item flags, "unknown" first)
+let genreNames = [];
 
-// Primary function to load data from files
-async function loadData() {
+// Rating range of the loaded dataset; step is 0.5 for half-star datasets (10M, ml-latest)
+let ratingScale = { min: 1, max: 5, step: 1 };
+
+// Primary function to load data from files (parsed and validated by the shared MovieLens module).
+// `files` are the ones picked in the dataset picker (File objects, possibly a .zip); without them any
+// supported MovieLens layout next to index.html works: u.item/u.data, movies.dat/ratings.dat, movies.csv/ratings.csv
+async function loadData(files = null, onProgress = null) {
     try {
-        // Load and parse movie data
-        const moviesResponse = await fetch('u.item');
-        if (!moviesResponse.ok) {
-            throw new Error(`Failed to load movie data: ${moviesResponse.status}`);
-        }
-        const moviesText = await moviesResponse.text();
-        parseItemData(moviesText);
+        const dataset = files
+            ? await MovieLens.readDatasetFiles(files, { onProgress })
+            : await MovieLens.loadDataset({ onProgress });
+        genreNames = dataset.genres;
+        ratingScale = dataset.stats.scale;
 
-        // Load and parse rating data
-        const ratingsResponse = await fetch('u.data');
-        if (!ratingsResponse.ok) {
-            throw new Error(`Failed to load rating data: ${ratingsResponse.status}`);
-        }
-        const ratingsText = await ratingsResponse.text();
-        parseRatingData(ratingsText);
+        // Movies keep their raw MovieLens ID as `id`; everything else is the shared Movie record
+        movies = dataset.movies.map(movie => ({ ...movie, id: movie.rawId }));
+        ratings = dataset.ratings.map(({ u, i, r, ts }) => ({
+            userId: dataset.userRawIds[u],
+            itemId: dataset.itemRawIds[i],
+            rating: r,
+            timestamp: ts
+        }));
     } catch (error) {
         console.error('Error loading data:', error);
         const resultElement = document.getElementById('result');
         if (resultElement) {
-            resultElement.textContent = `Error: ${error.message}. Please make sure u.item and u.data files are in the correct location.`;
+            resultElement.textContent = files
+                ? `Error: ${error.message}`
+                : `Error: ${error.message}. Please make sure the MovieLens files (e.g. u.item and u.data) are in the correct location.`;
             resultElement.className = 'error';
         }
         throw error; // Re-throw to allow script.js to handle the error
     }
 }
-
-// Parse movie data from u.item format
-function parseItemData(text) {
-    const lines = text.split('\n');
-    
-    for (const line of lines) {
-        if (line.trim() === '') continue;
-        
-        const fields = line.split('|');
-        if (fields.length < 5) continue; // Skip invalid lines
-        
-        const id = parseInt(fields[0]);
-        const title = fields[1];
-        
-        // Extract genres (last 19 fields)
-        const genreValues = fields.slice(5, 24).map(value => parseInt(value));
-        const genres = genreNames.filter((_, index) => genreValues[index] === 1);
-        
-        movies.push({ id, title, genres });
-    }
-}
-
-// Parse rating data from u.data format
-function parseRatingData(text) {
-    const lines = text.split('\n');
-    
-    for (const line of lines) {
-        if (line.trim() === '') continue;
-        
-        const fields = line.split('\t');
-        if (fields.length < 4) continue; // Skip invalid lines
-        
-        const userId = parseInt(fields[0]);
-        const itemId = parseInt(fields[1]);
-        const rating = parseFloat(fields[2]);
-        const timestamp = parseInt(fields[3]);
-        
-        ratings.push({ userId, itemId, rating, timestamp });
-    }
-}
-
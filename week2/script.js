@@ -11,11 +11,23 @@ window.onload = async function() {
         resultElement.textContent = "Loading movie data...";
         resultElement.className = 'loading';
 
+        // The search index, facets and similarity caches are built once per page, so a new
+        // dataset choice takes effect through a reload (the picker remembers it)
+        const picker = createDatasetPicker(document.getElementById('dataset-picker'), {
+            onChange: () => location.reload()
+        });
+        await picker.ready;
+
         // Load data (defined in data.js)
-        await loadData();
+        try {
+            await loadData(picker.files(), picker.progress);
+        } finally {
+            picker.done();
+        }
 
-        populateMoviesDropdown();
-        resultElement.textContent = "Data loaded. Please select a movie — cosine similarity will find recs.";
+        initMovieSearch();
+        initConstraintControls();
+        resultElement.textContent = "Data loaded. Search for the movies you like — cosine similarity will find recs.";
         resultElement.className = 'success';
     } catch (error) {
         console.error('Initialization error:', error);
@@ -27,24 +39,140 @@ window.onload = async function() {
    UI helpers
    ============================ */
 
-function populateMoviesDropdown() {
-    const selectElement = document.getElementById('movie-select');
+// Movies picked through the search box, in the order they were added
+const selection = { liked: [], disliked: [] };
 
-    // Clear existing options except the first placeholder
-    while (selectElement.options.length > 1) {
-        selectElement.remove(1);
+function initMovieSearch() {
+    const genreSelect = document.getElementById('facet-genre');
+    for (const genre of genreNames) {
+        const option = document.createElement('option');
+        option.value = genre;
+        option.textContent = genre;
+        genreSelect.appendChild(option);
     }
 
-    // Sort movies alphabetically by title
-    const sortedMovies = [...movies].sort((a, b) => a.title.localeCompare(b.title));
-
-    // Add movies to dropdown
-    sortedMovies.forEach(movie => {
-        const option = document.createElement('option');
-        option.value = movie.id;
-        option.textContent = movie.title;
-        selectElement.appendChild(option);
+    // createMovieSearch is defined in search.js
+    createMovieSearch({
+        input: document.getElementById('movie-search'),
+        listbox: document.getElementById('search-results'),
+        genreSelect,
+        yearFromInput: document.getElementById('facet-year-from'),
+        yearToInput: document.getElementById('facet-year-to'),
+        movies,
+        onPick: (movie, { disliked }) => addToSelection(movie.id, disliked)
     });
+    renderSelection();
+}
+
+// A movie lives in at most one of the two lists; picking it again moves it
+function addToSelection(movieId, disliked) {
+    removeFromSelection(movieId);
+    (disliked ? selection.disliked : selection.liked).push(movieId);
+    renderSelection();
+}
+
+function removeFromSelection(movieId) {
+    selection.liked = selection.liked.filter(id => id !== movieId);
+    selection.disliked = selection.disliked.filter(id => id !== movieId);
+    renderSelection();
+}
+
+function renderSelection() {
+    const moviesById = new Map(movies.map(movie => [movie.id, movie]));
+    const renderList = (elementId, ids, emptyText) => {
+        const host = document.getElementById(elementId);
+        host.innerHTML = '';
+        if (!ids.length) {
+            const empty = document.createElement('span');
+            empty.className = 'chips-empty';
+            empty.textContent = emptyText;
+            host.appendChild(empty);
+            return;
+        }
+        for (const id of ids) {
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.textContent = moviesById.get(id)?.title ?? `Movie ${id}`;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'chip-remove';
+            remove.setAttribute('aria-label', `Remove ${chip.textContent}`);
+            remove.textContent = '×';
+            remove.addEventListener('click', () => removeFromSelection(id));
+            chip.appendChild(remove);
+            host.appendChild(chip);
+        }
+    };
+    renderList('liked-list', selection.liked, 'Nothing yet — search and press Enter.');
+    renderList('disliked-list', selection.disliked, 'Optional — Shift+Enter adds here.');
+}
+
+/* ============================
+   Recommendation constraints
+   ============================ */
+
+function initConstraintControls() {
+    for (const selectId of ['constraint-include-genres', 'constraint-exclude-genres']) {
+        const selectElement = document.getElementById(selectId);
+        selectElement.innerHTML = '';
+        for (const genre of genreNames) {
+            const option = document.createElement('option');
+            option.value = genre;
+            option.textContent = genre;
+            selectElement.appendChild(option);
+        }
+    }
+}
+
+// Current constraint settings; empty fields mean "no constraint"
+function readConstraints() {
+    const readYear = id => {
+        const n = parseInt(document.getElementById(id).value, 10);
+        return Number.isFinite(n) ? n : null;
+    };
+    const readGenres = id => Array.from(document.getElementById(id).selectedOptions, option => option.value);
+
+    // Whole titles are compared in MovieLens.normalizeTitle form (accents, articles, year stripped)
+    const excludeTitles = document.getElementById('constraint-exclude-titles').value
+        .split('\n')
+        .map(MovieLens.normalizeTitle)
+        .filter(Boolean);
+
+    return {
+        yearFrom: readYear('constraint-year-from'),
+        yearTo: readYear('constraint-year-to'),
+        includeGenres: readGenres('constraint-include-genres'),
+        excludeGenres: readGenres('constraint-exclude-genres'),
+        excludeTitles
+    };
+}
+
+// Movies without a known year never pass an active year range
+function passesConstraints(movie, constraints) {
+    const { yearFrom, yearTo, includeGenres, excludeGenres, excludeTitles } = constraints;
+    if (yearFrom != null && !(movie.year >= yearFrom)) return false;
+    if (yearTo != null && !(movie.year <= yearTo)) return false;
+
+    const genres = getGenreSet(movie);
+    if (!includeGenres.every(g => genres.has(g))) return false;
+    if (excludeGenres.some(g => genres.has(g))) return false;
+
+    if (excludeTitles.length) {
+        if (excludeTitles.includes(MovieLens.normalizeTitle(movie.title))) return false;
+    }
+    return true;
+}
+
+// Short summary of the active constraints, '' when there are none
+function describeConstraints(constraints) {
+    const parts = [];
+    const { yearFrom, yearTo, includeGenres, excludeGenres, excludeTitles } = constraints;
+    if (yearFrom != null || yearTo != null) parts.push(`years ${yearFrom ?? '…'}–${yearTo ?? '…'}`);
+    if (includeGenres.length) parts.push(`with ${includeGenres.join(' + ')}`);
+    if (excludeGenres.length) parts.push(`without ${excludeGenres.join(', ')}`);
+    if (excludeTitles.length) parts.push(`${excludeTitles.length} excluded title(s)`);
+    return parts.join('; ');
 }
 
 /* ============================
@@ -63,23 +191,6 @@ function getGenreSet(movie) {
     return set;
 }
 
-// Cosine similarity for binary genre vectors:
-// cos = |A ∩ B| / (sqrt(|A|) * sqrt(|B|))
-function cosineSimilarityGenres(setA, setB) {
-    const sizeA = setA.size;
-    const sizeB = setB.size;
-    if (sizeA === 0 || sizeB === 0) return 0;
-
-    let intersectionCount = 0;
-    const [small, large] = sizeA < sizeB ? [setA, setB] : [setB, setA];
-    for (const g of small) {
-        if (large.has(g)) intersectionCount++;
-    }
-
-    const denom = Math.sqrt(sizeA) * Math.sqrt(sizeB);
-    return denom > 0 ? intersectionCount / denom : 0;
-}
-
 // Jaccard similarity for sets:
 // j = |A ∩ B| / |A ∪ B|
 function jaccardSimilarityGenres(setA, setB) {
@@ -96,6 +207,341 @@ function jaccardSimilarityGenres(setA, setB) {
     return unionSize > 0 ? intersectionCount / unionSize : 0;
 }
 
+/* ============================
+   Taste profile
+   ============================ */
+
+// Disliked genres count against a candidate with this fraction of a liked genre's weight
+const DISLIKE_WEIGHT = 0.5;
+
+// Weighted genre profile from several liked and disliked movies:
+// w[g] = share of liked movies having g − DISLIKE_WEIGHT · share of disliked movies having g
+function buildTasteProfile(likedMovies, dislikedMovies) {
+    const profile = new Map();
+    const accumulate = (list, weight) => {
+        if (!list.length) return;
+        const step = weight / list.length;
+        for (const movie of list) {
+            for (const g of getGenreSet(movie)) {
+                profile.set(g, (profile.get(g) || 0) + step);
+            }
+        }
+    };
+    accumulate(likedMovies, 1);
+    accumulate(dislikedMovies, -DISLIKE_WEIGHT);
+
+    // Drop genres where likes and dislikes cancel out exactly
+    for (const [g, w] of profile) {
+        if (w === 0) profile.delete(g);
+    }
+    return profile;
+}
+
+// Genres the profile leans towards (positive weight), as a set for Jaccard
+function getProfilePositiveSet(profile) {
+    const set = new Set();
+    for (const [g, w] of profile) {
+        if (w > 0) set.add(g);
+    }
+    return set;
+}
+
+// Cosine between a weighted profile and a candidate genre set, where every genre g
+// additionally carries a global weight α(g) (1 for plain scoring, IDF otherwise):
+// cos = Σ_{g ∈ B} w[g]·α(g)² / (‖w·α‖ * ‖α_B‖); negative when disliked genres dominate.
+// Also returns each shared genre's share of the score for explanations.
+function cosineSimilarityProfile(profile, setB, weightOf = uniformGenreWeight) {
+    const contributions = new Map();
+    if (profile.size === 0 || setB.size === 0) return { score: 0, contributions };
+
+    let normSqA = 0;
+    for (const [g, w] of profile) {
+        const a = weightOf(g);
+        normSqA += (w * a) ** 2;
+    }
+    let normSqB = 0;
+    for (const g of setB) {
+        normSqB += weightOf(g) ** 2;
+    }
+
+    const denom = Math.sqrt(normSqA) * Math.sqrt(normSqB);
+    if (!(denom > 0)) return { score: 0, contributions };
+
+    let score = 0;
+    for (const g of setB) {
+        const w = profile.get(g);
+        if (w === undefined) continue;
+        const part = w * weightOf(g) ** 2 / denom;
+        contributions.set(g, part);
+        score += part;
+    }
+    return { score, contributions };
+}
+
+/* ============================
+   Genre weighting (IDF / BM25)
+   ============================ */
+
+// BM25 saturation and length-normalisation constants (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Document frequencies and IDF tables over the loaded catalogue, built once per dataset
+let genreStats = null;
+
+function getGenreStats() {
+    if (genreStats && genreStats.nDocs === movies.length) return genreStats;
+
+    const df = new Map();
+    let totalGenres = 0;
+    for (const movie of movies) {
+        const set = getGenreSet(movie);
+        totalGenres += set.size;
+        for (const g of set) df.set(g, (df.get(g) || 0) + 1);
+    }
+
+    const nDocs = movies.length;
+    const idf = new Map();
+    const bm25Idf = new Map();
+    for (const [g, n] of df) {
+        idf.set(g, Math.log(nDocs / n));
+        bm25Idf.set(g, Math.log(1 + (nDocs - n + 0.5) / (n + 0.5)));
+    }
+
+    genreStats = { nDocs, df, idf, bm25Idf, avgGenres: nDocs ? totalGenres / nDocs : 0 };
+    return genreStats;
+}
+
+function uniformGenreWeight() {
+    return 1;
+}
+
+// Per-genre weight function for the chosen scoring mode
+function getGenreWeighter(mode) {
+    if (mode === 'plain') return uniformGenreWeight;
+    const { idf, bm25Idf } = getGenreStats();
+    const table = mode === 'bm25' ? bm25Idf : idf;
+    return g => table.get(g) || 0;
+}
+
+// Weighted Jaccard: j = Σ_{A ∩ B} α(g) / Σ_{A ∪ B} α(g)
+function weightedJaccardGenres(setA, setB, weightOf = uniformGenreWeight) {
+    let inter = 0;
+    let union = 0;
+    for (const g of setA) {
+        const a = weightOf(g);
+        union += a;
+        if (setB.has(g)) inter += a;
+    }
+    for (const g of setB) {
+        if (!setA.has(g)) union += weightOf(g);
+    }
+    return union > 0 ? inter / union : 0;
+}
+
+// BM25 of a candidate against the profile used as a weighted query.
+// Genre flags are binary (tf = 1), so the saturation term only depends on
+// how many genres the candidate has relative to the catalogue average.
+function bm25ScoreProfile(profile, setB) {
+    const contributions = new Map();
+    const { bm25Idf, avgGenres } = getGenreStats();
+    if (setB.size === 0 || avgGenres === 0) return { score: 0, contributions };
+
+    const lengthNorm = 1 - BM25_B + BM25_B * setB.size / avgGenres;
+    const tfPart = (BM25_K1 + 1) / (1 + BM25_K1 * lengthNorm);
+
+    let score = 0;
+    for (const g of setB) {
+        const w = profile.get(g);
+        if (w === undefined) continue;
+        const part = w * (bm25Idf.get(g) || 0) * tfPart;
+        contributions.set(g, part);
+        score += part;
+    }
+    return { score, contributions };
+}
+
+function getScoringMode() {
+    const selectElement = document.getElementById('scoring-mode');
+    return selectElement ? selectElement.value : 'plain';
+}
+
+// Shared genres that pushed the score up the most, e.g. "Sci-Fi 0.412, War 0.218"
+function formatTopContributions(contributions, limit = 3) {
+    const top = [...contributions.entries()]
+        .filter(([, v]) => v > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit);
+    return top.length ? top.map(([g, v]) => `${g} ${fmtScore(v)}`).join(', ') : '—';
+}
+
+/* ============================
+   Rating quality & popularity
+   ============================ */
+
+// Prior strength of the Bayesian average: an item needs about this many
+// ratings before its own mean outweighs the global mean
+const BAYES_PRIOR_COUNT = 25;
+
+// Per-movie rating aggregates from `ratings`, built once per dataset
+let itemRatingStats = null;
+
+function getItemRatingStats() {
+    if (itemRatingStats && itemRatingStats.nRatings === ratings.length) return itemRatingStats;
+
+    const counts = new Map();
+    const sums = new Map();
+    let total = 0;
+    for (const { itemId, rating } of ratings) {
+        counts.set(itemId, (counts.get(itemId) || 0) + 1);
+        sums.set(itemId, (sums.get(itemId) || 0) + rating);
+        total += rating;
+    }
+
+    const globalMean = ratings.length ? total / ratings.length : 0;
+    let maxCount = 0;
+    for (const n of counts.values()) maxCount = Math.max(maxCount, n);
+
+    // bayes = (C·μ + Σr) / (C + n); quality maps the rating scale (1–5, or 0.5–5) onto 0–1,
+    // popularity is log-scaled so blockbusters don't drown out everything else
+    const byItem = new Map();
+    for (const [itemId, count] of counts) {
+        const sum = sums.get(itemId);
+        const bayes = (BAYES_PRIOR_COUNT * globalMean + sum) / (BAYES_PRIOR_COUNT + count);
+        byItem.set(itemId, {
+            count,
+            mean: sum / count,
+            bayes,
+            quality: ratingQuality(bayes),
+            popularity: maxCount > 0 ? Math.log1p(count) / Math.log1p(maxCount) : 0
+        });
+    }
+
+    itemRatingStats = { nRatings: ratings.length, globalMean, maxCount, byItem };
+    return itemRatingStats;
+}
+
+function ratingQuality(rating) {
+    const { min, max } = ratingScale;
+    return max > min ? (rating - min) / (max - min) : 0;
+}
+
+// Stats for a movie nobody rated: prior mean and zero popularity
+function getMovieRatingStats(movieId) {
+    const stats = getItemRatingStats();
+    return stats.byItem.get(movieId) || {
+        count: 0,
+        mean: NaN,
+        bayes: stats.globalMean,
+        quality: ratingQuality(stats.globalMean),
+        popularity: 0
+    };
+}
+
+// hybrid = w_sim · sim / max(sim) + w_quality · quality + w_pop · popularity.
+// Similarity is scaled by the best candidate so BM25 and cosine mix the same way.
+function applyHybridScores(ranked, weights) {
+    const maxScore = ranked.reduce((m, r) => Math.max(m, r.score), 0);
+
+    for (const r of ranked) {
+        const stats = getMovieRatingStats(r.id);
+        r.similarity = maxScore > 0 ? r.score / maxScore : 0;
+        r.ratingStats = stats;
+        r.hybrid = weights.similarity * r.similarity +
+            weights.quality * stats.quality +
+            weights.popularity * stats.popularity;
+    }
+
+    ranked.sort((a, b) => {
+        if (b.hybrid !== a.hybrid) return b.hybrid - a.hybrid;
+        return a.title.localeCompare(b.title);
+    });
+    return ranked;
+}
+
+/* ============================
+   Diversity re-ranking (MMR)
+   ============================ */
+
+// MMR only considers this many of the best-scored candidates
+const MMR_POOL_SIZE = 100;
+
+// Maximal Marginal Relevance: repeatedly pick
+// argmax λ · rel(i) − (1 − λ) · max_{j ∈ picked} jaccard(i, j),
+// where rel is the hybrid score scaled by the best candidate.
+// λ = 1 keeps the relevance order, λ = 0 only maximises genre variety.
+function mmrRerank(ranked, k, lambda) {
+    const pool = ranked.slice(0, Math.max(k, MMR_POOL_SIZE));
+    const maxRel = pool.reduce((m, r) => Math.max(m, r.hybrid), 0);
+    const relevance = r => (maxRel > 0 ? r.hybrid / maxRel : 0);
+
+    const picked = [];
+    const maxSimToPicked = new Array(pool.length).fill(0);
+    const used = new Array(pool.length).fill(false);
+
+    while (picked.length < k && picked.length < pool.length) {
+        let best = -1;
+        let bestValue = -Infinity;
+        for (let i = 0; i < pool.length; i++) {
+            if (used[i]) continue;
+            const value = lambda * relevance(pool[i]) - (1 - lambda) * maxSimToPicked[i];
+            if (value > bestValue) {
+                bestValue = value;
+                best = i;
+            }
+        }
+
+        used[best] = true;
+        const chosen = pool[best];
+        picked.push({ ...chosen, mmr: bestValue, redundancy: maxSimToPicked[best] });
+
+        const chosenSet = getGenreSet(chosen);
+        for (let i = 0; i < pool.length; i++) {
+            if (used[i]) continue;
+            const sim = jaccardSimilarityGenres(getGenreSet(pool[i]), chosenSet);
+            if (sim > maxSimToPicked[i]) maxSimToPicked[i] = sim;
+        }
+    }
+    return picked;
+}
+
+// Intra-list diversity: mean pairwise (1 − jaccard) over the list's genre sets
+function intraListDiversity(list) {
+    if (list.length < 2) return 0;
+    let sum = 0;
+    let pairs = 0;
+    for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+            sum += 1 - jaccardSimilarityGenres(getGenreSet(list[i]), getGenreSet(list[j]));
+            pairs++;
+        }
+    }
+    return sum / pairs;
+}
+
+function getMmrLambda() {
+    return readNumberInput('mmr-lambda', 0, 1, 0.7);
+}
+
+function readNumberInput(id, min, max, dflt) {
+    const input = document.getElementById(id);
+    const n = input ? parseFloat(String(input.value).replace(',', '.')) : NaN;
+    if (!Number.isFinite(n)) return dflt;
+    return Math.max(min, Math.min(max, n));
+}
+
+function getHybridWeights() {
+    return {
+        similarity: readNumberInput('weight-similarity', 0, 1, 0.7),
+        quality: readNumberInput('weight-quality', 0, 1, 0.2),
+        popularity: readNumberInput('weight-popularity', 0, 1, 0.1)
+    };
+}
+
+function getTopK() {
+    return Math.round(readNumberInput('top-k', 1, 50, 5));
+}
+
 // Safe HTML escape for titles/genres
 function escapeHTML(str) {
     return String(str).replace(/[&<>"']/g, s => ({
@@ -103,6 +549,14 @@ function escapeHTML(str) {
     })[s]);
 }
 
+// Quoted title, linked to IMDb when u.item has a URL for it
+function formatTitle(movie) {
+    const quoted = `“${escapeHTML(movie.title)}”`;
+    return movie.imdbUrl
+        ? `<a href="${escapeHTML(movie.imdbUrl)}" target="_blank" rel="noopener">${quoted}</a>`
+        : quoted;
+}
+
 function fmtScore(x) {
     return Number.isFinite(x) ? x.toFixed(3) : '0.000';
 }
@@ -116,71 +570,94 @@ function getRecommendations() {
 
     try {
         // Step 1: Get user input
-        const selectElement = document.getElementById('movie-select');
-        const selectedMovieId = parseInt(selectElement.value);
+        const likedIds = [...selection.liked];
+        const dislikedIds = [...selection.disliked];
+
+        if (likedIds.length === 0) {
+            resultElement.textContent = "Please add at least one movie you like.";
+            resultElement.className = 'error';
+            return;
+        }
 
-        if (isNaN(selectedMovieId)) {
-            resultElement.textContent = "Please select a movie first.";
+        const conflicting = likedIds.filter(id => dislikedIds.includes(id));
+        if (conflicting.length > 0) {
+            resultElement.textContent = "A movie cannot be both liked and disliked — please fix the selection.";
             resultElement.className = 'error';
             return;
         }
 
-        // Step 2: Find the liked movie
-        const likedMovie = movies.find(movie => movie.id === selectedMovieId);
-        if (!likedMovie) {
+        // Step 2: Find the liked and disliked movies
+        const moviesById = new Map(movies.map(movie => [movie.id, movie]));
+        const likedMovies = likedIds.map(id => moviesById.get(id)).filter(Boolean);
+        const dislikedMovies = dislikedIds.map(id => moviesById.get(id)).filter(Boolean);
+        if (likedMovies.length !== likedIds.length || dislikedMovies.length !== dislikedIds.length) {
             resultElement.textContent = "Error: Selected movie not found in database.";
             resultElement.className = 'error';
             return;
         }
 
         // Show loading message while processing
-        resultElement.textContent = "Calculating recommendations (cosine + jaccard)...";
+        resultElement.textContent = "Calculating recommendations...";
         resultElement.className = 'loading';
 
         // Allow UI to update before heavy computation
         setTimeout(() => {
             try {
-                // Step 3: Prepare for similarity calculation
-                const likedGenresSet = getGenreSet(likedMovie);
-                const likedGenresList = [...likedGenresSet];
-                const candidateMovies = movies.filter(movie => movie.id !== likedMovie.id);
-
-                // Step 4: Score candidates (cosine + jaccard)
-                const scoredMovies = candidateMovies.map(candidate => {
-                    const candSet = getGenreSet(candidate);
-                    const cosine = cosineSimilarityGenres(likedGenresSet, candSet);
-                    const jaccard = jaccardSimilarityGenres(likedGenresSet, candSet);
-                    return { ...candidate, cosine, jaccard };
-                });
-
-                // Step 5: Sort by cosine (desc), tie-breaker by title
-                scoredMovies.sort((a, b) => {
-                    if (b.cosine !== a.cosine) return b.cosine - a.cosine;
-                    return a.title.localeCompare(b.title);
-                });
-
-                // Step 6: Top-K
-                const TOP_K = 2;
-                const topRecommendations = scoredMovies.slice(0, TOP_K);
+                // Step 3: Candidate pool (everything not already liked or disliked that meets the constraints)
+                const constraints = readConstraints();
+                const selectedIds = new Set([...likedIds, ...dislikedIds]);
+                const candidateMovies = movies.filter(movie =>
+                    !selectedIds.has(movie.id) && passesConstraints(movie, constraints));
+                const recMode = getRecommendationMode();
+                const topK = getTopK();
+
+                // Steps 4-6: Rank with the selected approach(es) and keep the Top-K of each
+                const sections = [];
+                if (recMode !== 'cf') {
+                    const scoringMode = getScoringMode();
+                    const weights = getHybridWeights();
+                    const { profile, ranked } = rankByGenres(likedMovies, dislikedMovies, candidateMovies, scoringMode);
+                    applyHybridScores(ranked, weights);
+                    // quality and popularity alone keep hybrid > 0, so only genre similarity makes a match
+                    const matches = ranked.filter(r => r.score > 0);
+                    const lambda = getMmrLambda();
+                    const diversity = {
+                        lambda,
+                        before: intraListDiversity(matches.slice(0, topK))
+                    };
+                    const top = mmrRerank(matches, topK, lambda);
+                    diversity.after = intraListDiversity(top);
+                    sections.push(formatGenreSection(profile, top, scoringMode, weights, diversity));
+                }
+                if (recMode !== 'genre') {
+                    const method = getCfMethod();
+                    const ranked = rankByItemItem(likedIds, dislikedIds, candidateMovies, method);
+                    sections.push(formatItemItemSection(ranked.slice(0, topK), method));
+                }
 
                 // Step 7: Display results
-                if (topRecommendations.length > 0 && topRecommendations[0].cosine > 0) {
-                    const likedGenresText = likedGenresList.length ? likedGenresList.join(', ') : '—';
-
-                    const lines = topRecommendations.map((r, i) => {
-                        const rGenres = [...getGenreSet(r)];
-                        const rGenresText = rGenres.length ? rGenres.join(', ') : '—';
-                        return `${i + 1}) “${escapeHTML(r.title)}” (genres: ${escapeHTML(rGenresText)}) — cosine: ${fmtScore(r.cosine)}, jaccard: ${fmtScore(r.jaccard)}`;
-                    }).join('<br>');
+                if (sections.some(section => section.hasMatches)) {
+                    const titlesText = list => list.map(m => `“${escapeHTML(m.title)}”`).join(', ');
+                    const dislikedText = dislikedMovies.length
+                        ? ` and disliked ${titlesText(dislikedMovies)}`
+                        : '';
+                    const constraintsText = describeConstraints(constraints);
+                    const constraintsNote = constraintsText
+                        ? ` <span class="muted">(${escapeHTML(constraintsText)})</span>`
+                        : '';
+                    const body = sections.length > 1
+                        ? `<div class="side-by-side">${sections.map(section => section.html).join('')}</div>`
+                        : sections[0].html;
 
                     resultElement.innerHTML =
-                        `Because you liked “${escapeHTML(likedMovie.title)}” ` +
-                        `<span style="color: var(--muted)">(genres: ${escapeHTML(likedGenresText)})</span>, ` +
-                        `we recommend:<br>${lines}`;
+                        `<div class="rec-body">Because you liked ${titlesText(likedMovies)}${dislikedText}, ` +
+                        `we recommend${constraintsNote}:${body}</div>`;
 
                     resultElement.className = 'success';
                 } else {
-                    resultElement.textContent = `No strong matches found for “${likedMovie.title}”.`;
+                    resultElement.textContent = candidateMovies.length
+                        ? "No strong matches found for this taste profile."
+                        : "No movies satisfy the current constraints.";
                     resultElement.className = 'error';
                 }
             } catch (error) {
@@ -196,3 +673,133 @@ function getRecommendations() {
     }
 }
 
+/* ============================
+   Ranking approaches
+   ============================ */
+
+function getRecommendationMode() {
+    const selectElement = document.getElementById('rec-mode');
+    return selectElement ? selectElement.value : 'genre';
+}
+
+function getCfMethod() {
+    const selectElement = document.getElementById('cf-method');
+    return selectElement ? selectElement.value : 'adjusted-cosine';
+}
+
+// Genre-based: cosine against the taste profile (+ jaccard against its liked genres),
+// with genres weighted by rarity unless plain scoring is selected.
+// Ranked by the genre score alone; applyHybridScores() re-ranks afterwards.
+function rankByGenres(likedMovies, dislikedMovies, candidateMovies, scoringMode) {
+    const profile = buildTasteProfile(likedMovies, dislikedMovies);
+    const profileGenresSet = getProfilePositiveSet(profile);
+    const weightOf = getGenreWeighter(scoringMode);
+
+    const ranked = candidateMovies.map(candidate => {
+        const candSet = getGenreSet(candidate);
+        const cosine = cosineSimilarityProfile(profile, candSet, weightOf);
+        const jaccard = weightedJaccardGenres(profileGenresSet, candSet, weightOf);
+        const scored = scoringMode === 'bm25' ? bm25ScoreProfile(profile, candSet) : cosine;
+        return {
+            ...candidate,
+            score: scored.score,
+            cosine: cosine.score,
+            jaccard,
+            contributions: scored.contributions
+        };
+    });
+
+    // Sort by score (desc), tie-breaker by title
+    ranked.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        return a.title.localeCompare(b.title);
+    });
+    return { profile, ranked };
+}
+
+// Item-item CF (cf.js): similarity of rating patterns to the liked/disliked movies
+function rankByItemItem(likedIds, dislikedIds, candidateMovies, method) {
+    const scores = scoreItemItem(likedIds, dislikedIds, { method, dislikeWeight: DISLIKE_WEIGHT });
+    const titleById = new Map(movies.map(movie => [movie.id, movie.title]));
+
+    const ranked = [];
+    for (const candidate of candidateMovies) {
+        const s = scores.get(candidate.id);
+        if (!s) continue;
+        ranked.push({
+            ...candidate,
+            score: s.score,
+            support: s.support,
+            becauseTitle: s.bestSeedId != null ? titleById.get(s.bestSeedId) : null
+        });
+    }
+
+    ranked.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        return a.title.localeCompare(b.title);
+    });
+    return ranked;
+}
+
+function formatGenreSection(profile, top, scoringMode, weights, diversity) {
+    const modeText = { plain: 'plain', idf: 'IDF-weighted', bm25: 'BM25' }[scoringMode] || scoringMode;
+    const profileText = [...profile.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([g, w]) => `${g} ${w > 0 ? '+' : ''}${w.toFixed(2)}`)
+        .join(', ') || '—';
+
+    // top holds genre matches only (see getRecommendations)
+    const hasMatches = top.length > 0;
+    const lines = hasMatches
+        ? top.map((r, i) => {
+            const stats = r.ratingStats;
+            const ratingText = stats.count
+                ? `★${stats.bayes.toFixed(2)}, ${stats.count} ratings`
+                : 'no ratings';
+            const breakdown =
+                `hybrid ${fmtScore(r.hybrid)} = ` +
+                `${weights.similarity}×similarity ${fmtScore(r.similarity)} + ` +
+                `${weights.quality}×quality ${fmtScore(stats.quality)} (${ratingText}) + ` +
+                `${weights.popularity}×popularity ${fmtScore(stats.popularity)}; ` +
+                `genre overlap with earlier picks: ${fmtScore(r.redundancy)}`;
+            const rGenres = [...getGenreSet(r)];
+            const rGenresText = rGenres.length ? rGenres.join(', ') : '—';
+            const bm25Text = scoringMode === 'bm25' ? `bm25: ${fmtScore(r.score)}, ` : '';
+            return `${i + 1}) ${formatTitle(r)} (genres: ${escapeHTML(rGenresText)}) — ` +
+                `${bm25Text}cosine: ${fmtScore(r.cosine)}, jaccard: ${fmtScore(r.jaccard)}` +
+                `<br><span class="muted">top shared genres: ${escapeHTML(formatTopContributions(r.contributions))}</span>` +
+                `<br><span class="muted">${breakdown}</span>`;
+        }).join('<br>')
+        : 'No strong genre matches.';
+
+    return {
+        hasMatches,
+        html: `<div class="rec-column">` +
+            `<div class="rec-heading">Genre-based (${modeText} scoring)</div>` +
+            `<div class="muted">profile: ${escapeHTML(profileText)}</div>` +
+            `<div class="muted">MMR λ = ${diversity.lambda} — intra-list diversity ` +
+            `${fmtScore(diversity.after)} (without re-ranking: ${fmtScore(diversity.before)})</div>` +
+            `${lines}</div>`
+    };
+}
+
+function formatItemItemSection(top, method) {
+    const methodText = method === 'pearson' ? 'Pearson' : 'adjusted cosine';
+
+    const hasMatches = top.length > 0 && top[0].score > 0;
+    const lines = hasMatches
+        ? top.map((r, i) => {
+            const because = r.becauseTitle
+                ? `<br><span class="muted">mostly via “${escapeHTML(r.becauseTitle)}” (${r.support} co-raters)</span>`
+                : '';
+            return `${i + 1}) ${formatTitle(r)} — similarity: ${fmtScore(r.score)}${because}`;
+        }).join('<br>')
+        : 'Not enough co-ratings for these movies.';
+
+    return {
+        hasMatches,
+        html: `<div class="rec-column">` +
+            `<div class="rec-heading">People who liked these also liked (${methodText})</div>` +
+            `${lines}</div>`
+    };
+}
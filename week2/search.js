@@ -0,0 +1,222 @@
+// search.js — Typeahead movie search with genre and year facets
+// Fuzzy, accent- and article-insensitive title matching plus a small DOM component.
+// Needs ../shared/movielens.js for titles; otherwise the caller passes the movie list and a pick callback.
+
+/* ============================
+   Title normalisation
+   ============================ */
+
+// Lowercase, accent-, punctuation- and article-free words (shared with the exclude list, see movielens.js)
+const tokenizeTitle = MovieLens.titleTokens;
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds `max`
+function boundedEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            rowMin = Math.min(rowMin, cur[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+/* ============================
+   Matching
+   ============================ */
+
+// Index entries keep the normalised form next to the movie
+function buildSearchIndex(movieList) {
+    return movieList.map(movie => {
+        const tokens = tokenizeTitle(movie.title);
+        return { movie, tokens, norm: tokens.join(' ') };
+    });
+}
+
+// How well one query token matches one title token: 1 for a prefix,
+// less for a typo (one edit per four letters, at most two), 0 for no match
+function tokenMatchScore(queryToken, titleToken) {
+    if (titleToken.startsWith(queryToken)) return 1;
+    if (queryToken.length < 3) return 0;
+    const maxEdits = Math.min(2, Math.floor(queryToken.length / 4) || 1);
+    const head = titleToken.slice(0, queryToken.length);
+    const dist = Math.min(
+        boundedEditDistance(queryToken, titleToken, maxEdits),
+        boundedEditDistance(queryToken, head, maxEdits)
+    );
+    return dist <= maxEdits ? 0.8 - 0.2 * dist : 0;
+}
+
+// Score of a title for the query (0 = no match). Whole-phrase hits beat
+// token-by-token hits; every query token has to match some title token.
+function fuzzyMatchScore(queryTokens, entry) {
+    const phrase = queryTokens.join(' ');
+    if (entry.norm === phrase) return 100;
+    if (entry.norm.startsWith(phrase)) return 90;
+    if (entry.norm.includes(phrase)) return 80;
+
+    let total = 0;
+    for (const q of queryTokens) {
+        let best = 0;
+        for (const t of entry.tokens) {
+            best = Math.max(best, tokenMatchScore(q, t));
+            if (best === 1) break;
+        }
+        if (best === 0) return 0;
+        total += best;
+    }
+    return 50 + 10 * total / queryTokens.length;
+}
+
+// Query plus facets → best matches. An empty query only browses the facets.
+function searchMovies(index, query, { genre = '', yearFrom = null, yearTo = null, limit = 12 } = {}) {
+    const queryTokens = tokenizeTitle(query);
+    const hasFacets = Boolean(genre) || yearFrom != null || yearTo != null;
+    if (!queryTokens.length && !hasFacets) return [];
+
+    const hits = [];
+    for (const entry of index) {
+        const { movie } = entry;
+        if (genre && !(movie.genres || []).includes(genre)) continue;
+        if (yearFrom != null && !(movie.year >= yearFrom)) continue;
+        if (yearTo != null && !(movie.year <= yearTo)) continue;
+
+        const score = queryTokens.length ? fuzzyMatchScore(queryTokens, entry) : 1;
+        if (score > 0) hits.push({ movie, score });
+    }
+
+    // Best score first; shorter titles win ties (closer to the query), then A–Z
+    hits.sort((a, b) =>
+        (b.score - a.score) ||
+        (a.movie.title.length - b.movie.title.length) ||
+        a.movie.title.localeCompare(b.movie.title)
+    );
+    return hits.slice(0, limit).map(hit => hit.movie);
+}
+
+/* ============================
+   Typeahead component
+   ============================ */
+
+// Wires an <input> and a listbox <ul> (plus optional facet controls) into a
+// typeahead. ↑/↓ move the highlight, Enter picks, Shift+Enter picks as
+// "disliked", Escape closes. onPick(movie, { disliked }) receives the choice.
+function createMovieSearch({ input, listbox, genreSelect, yearFromInput, yearToInput, movies: movieList, onPick }) {
+    const index = buildSearchIndex(movieList);
+    let results = [];
+    let activeIndex = -1;
+
+    const readYear = el => {
+        const n = el ? parseInt(el.value, 10) : NaN;
+        return Number.isFinite(n) ? n : null;
+    };
+
+    function close() {
+        listbox.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    function highlight(i) {
+        activeIndex = i;
+        listbox.querySelectorAll('[role="option"]').forEach((li, j) => {
+            const active = j === i;
+            li.classList.toggle('active', active);
+            li.setAttribute('aria-selected', String(active));
+            if (active) {
+                input.setAttribute('aria-activedescendant', li.id);
+                li.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    function render() {
+        listbox.innerHTML = '';
+        if (!results.length) {
+            if (input.value.trim()) {
+                const li = document.createElement('li');
+                li.className = 'search-empty';
+                li.textContent = 'No matching movies.';
+                listbox.appendChild(li);
+                listbox.hidden = false;
+                input.setAttribute('aria-expanded', 'true');
+            } else {
+                close();
+            }
+            return;
+        }
+
+        results.forEach((movie, i) => {
+            const li = document.createElement('li');
+            li.id = `search-option-${movie.id}`;
+            li.setAttribute('role', 'option');
+
+            const title = document.createElement('span');
+            title.className = 'search-title';
+            title.textContent = movie.title;
+            const meta = document.createElement('span');
+            meta.className = 'search-meta';
+            meta.textContent = (movie.genres || []).join(', ') || '—';
+            li.append(title, meta);
+
+            // mousedown keeps focus in the input; Shift+click adds as disliked
+            li.addEventListener('mousedown', event => {
+                event.preventDefault();
+                pick(i, event.shiftKey);
+            });
+            li.addEventListener('mousemove', () => {
+                if (activeIndex !== i) highlight(i);
+            });
+            listbox.appendChild(li);
+        });
+        listbox.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        highlight(0);
+    }
+
+    function update() {
+        results = searchMovies(index, input.value, {
+            genre: genreSelect ? genreSelect.value : '',
+            yearFrom: readYear(yearFromInput),
+            yearTo: readYear(yearToInput)
+        });
+        render();
+    }
+
+    function pick(i, disliked) {
+        const movie = results[i];
+        if (!movie) return;
+        onPick(movie, { disliked });
+        input.value = '';
+        update();
+    }
+
+    input.addEventListener('input', update);
+    input.addEventListener('focus', update);
+    input.addEventListener('blur', close);
+    input.addEventListener('keydown', event => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (listbox.hidden) { update(); return; }
+            if (!results.length) return;
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            highlight((activeIndex + step + results.length) % results.length);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (activeIndex >= 0) pick(activeIndex, event.shiftKey);
+        } else if (event.key === 'Escape') {
+            close();
+        }
+    });
+    for (const facet of [genreSelect, yearFromInput, yearToInput]) {
+        if (facet) facet.addEventListener('input', update);
+    }
+
+    return { update, close };
+}
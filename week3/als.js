@@ -0,0 +1,274 @@
+// als.js
+// Alternating least squares for biased MF (explicit ratings) and WRMF (implicit feedback).
+// Pure JS on flat Float32Array weights — script.js copies them from / back into the TF variables.
+// With items fixed every user row is an independent ridge regression, and vice versa:
+//   [p_u; b_u] = argmin Σ_{i ∈ R(u)} (r_ui − μ − b_i − [q_i; 1]·[p_u; b_u])² + λ·n_u·‖[p_u; b_u]‖²
+// (λ scaled by the row's rating count, as in ALS-WR).
+
+/**
+ * Ratings of the train split grouped by row (CSR): row x owns entries offsets[x] .. offsets[x+1]-1.
+ * @typedef {{offsets:Int32Array, cols:Int32Array, vals:Float32Array}} AlsRows
+ */
+
+/**
+ * Per-user and per-item rating lists of the train split only. (userRatedItems covers every rating,
+ * validation included, and carries no values, so it cannot drive the solves directly.)
+ * @param {{u:number,i:number,r:number}[]} triples ratingsTriples
+ * @param {Int32Array} trainIdx
+ * @param {number} U
+ * @param {number} I
+ * @returns {{byUser:AlsRows, byItem:AlsRows}}
+ */
+function buildAlsIndex(triples, trainIdx, U, I) {
+  const group = (nRows, rowOf, colOf) => {
+    const offsets = new Int32Array(nRows + 1);
+    for (const t of trainIdx) offsets[rowOf(triples[t]) + 1]++;
+    for (let x = 0; x < nRows; x++) offsets[x + 1] += offsets[x];
+    const fill = offsets.slice(0, nRows);
+    const cols = new Int32Array(trainIdx.length);
+    const vals = new Float32Array(trainIdx.length);
+    for (const t of trainIdx) {
+      const tr = triples[t];
+      const at = fill[rowOf(tr)]++;
+      cols[at] = colOf(tr);
+      vals[at] = tr.r;
+    }
+    return { offsets, cols, vals };
+  };
+  return {
+    byUser: group(U, tr => tr.u, tr => tr.i),
+    byItem: group(I, tr => tr.i, tr => tr.u)
+  };
+}
+
+/**
+ * Re-solve every row of one side with the other side fixed (in place).
+ * @param {AlsRows} rows ratings of this side's rows
+ * @param {Float32Array} X this side's factors [nRows*k] (written)
+ * @param {Float32Array} bx this side's biases [nRows] (written)
+ * @param {Float32Array} Y other side's factors [nCols*k]
+ * @param {Float32Array} by other side's biases [nCols]
+ * @param {number} k
+ * @param {number} mu global mean
+ * @param {number} lambda
+ */
+function alsSolveSide(rows, X, bx, Y, by, k, mu, lambda) {
+  const d = k + 1;                        // factors + bias
+  const A = new Float64Array(d * d);
+  const b = new Float64Array(d);
+  const nRows = rows.offsets.length - 1;
+
+  for (let x = 0; x < nRows; x++) {
+    const start = rows.offsets[x], end = rows.offsets[x + 1];
+    if (start === end) {                  // no train ratings: the prior (0) is the ridge solution
+      X.fill(0, x * k, x * k + k);
+      bx[x] = 0;
+      continue;
+    }
+    A.fill(0); b.fill(0);
+    for (let e = start; e < end; e++) {
+      const y = rows.cols[e];
+      const target = rows.vals[e] - mu - by[y];
+      const off = y * k;
+      for (let a = 0; a < d; a++) {
+        const fa = a < k ? Y[off + a] : 1;
+        b[a] += fa * target;
+        for (let c = 0; c <= a; c++) A[a * d + c] += fa * (c < k ? Y[off + c] : 1);
+      }
+    }
+    const reg = lambda * (end - start);
+    for (let a = 0; a < d; a++) A[a * d + a] += reg;
+    choleskySolve(A, b, d);
+    for (let a = 0; a < k; a++) X[x * k + a] = b[a];
+    bx[x] = b[k];
+  }
+}
+
+/**
+ * Fold a new user into a trained model: one alsSolveSide row for their [p; b] against the
+ * frozen item factors and biases. `offset`, if given, is a fixed part of the user vector
+ * (SVD++'s implicit term) — p is fitted to what it leaves unexplained, then added to it.
+ * @param {{i:number, r:number}[]} ratings
+ * @param {Float32Array} Q item factors [I*k]
+ * @param {Float32Array} bi item biases [I]
+ * @param {number} k
+ * @param {number} mu global mean
+ * @param {number} lambda
+ * @param {Float32Array|null} [offset] [k]
+ * @returns {{p:Float32Array, b:number}}
+ */
+function foldInUser(ratings, Q, bi, k, mu, lambda, offset = null) {
+  const offsetDot = i => {
+    let d = 0;
+    for (let a = 0; a < k; a++) d += offset[a] * Q[i * k + a];
+    return d;
+  };
+  const rows = {
+    offsets: Int32Array.of(0, ratings.length),
+    cols: Int32Array.from(ratings, x => x.i),
+    vals: Float32Array.from(ratings, x => (offset ? x.r - offsetDot(x.i) : x.r))
+  };
+  const p = new Float32Array(k), b = new Float32Array(1);
+  alsSolveSide(rows, p, b, Q, bi, k, mu, lambda);
+  if (offset) for (let a = 0; a < k; a++) p[a] += offset[a];
+  return { p, b: b[0] };
+}
+
+/**
+ * WRMF counterpart of foldInUser: one implicitAlsSolveSide row against the frozen item factors,
+ * every rated movie a positive with confidence 1 + alpha·r as in training. No bias (WRMF has none).
+ * @param {{i:number, r:number}[]} ratings
+ * @param {Float32Array} Q item factors [I*k]
+ * @param {number} k
+ * @param {number} alpha confidence slope
+ * @param {number} lambda
+ * @returns {{p:Float32Array, b:number}}
+ */
+function foldInImplicitUser(ratings, Q, k, alpha, lambda) {
+  const rows = {
+    offsets: Int32Array.of(0, ratings.length),
+    cols: Int32Array.from(ratings, x => x.i),
+    vals: Float32Array.from(ratings, x => x.r)
+  };
+  const p = new Float32Array(k);
+  implicitAlsSolveSide(rows, p, Q, k, alpha, lambda);
+  return { p, b: 0 };
+}
+
+/**
+ * Per-rating contributions to the user's actual dot products p·q_i. p is projected onto the
+ * rated items' factors, α = Q_R·(Q_Rᵀ·Q_R + ε·I)⁻¹·p (minimum norm; ε only keeps the solve
+ * stable), which splits every dot product exactly:
+ *   p·q_i = Σ_j α_j·(q_j·q_i) + (p − Σ_j α_j·q_j)·q_i
+ * one term per rated item j, plus a residual for the part of p the rated items do not span
+ * (SVD++'s implicit term, fewer ratings than factors).
+ * @param {{i:number}[]} ratings
+ * @param {Float32Array|number[]} p the user's factors [k]
+ * @param {Float32Array} Q item factors [I*k]
+ * @param {number} k
+ * @returns {(i:number) => {contributions:Float64Array, residual:number}} contributions of ratings[0..n-1]
+ */
+function createDotExplainer(ratings, p, Q, k) {
+  const G = new Float64Array(k * k);
+  for (const { i } of ratings) {
+    const off = i * k;
+    for (let a = 0; a < k; a++) for (let c = 0; c <= a; c++) G[a * k + c] += Q[off + a] * Q[off + c];
+  }
+  let trace = 0;
+  for (let a = 0; a < k; a++) trace += G[a * k + a];
+  for (let a = 0; a < k; a++) G[a * k + a] += 1e-6 * trace / k + 1e-12;
+  const z = Float64Array.from(p);
+  choleskySolve(G, z, k);                 // z = (Q_Rᵀ·Q_R + ε·I)⁻¹·p
+
+  const alpha = Float64Array.from(ratings, ({ i }) => {
+    let t = 0;
+    for (let a = 0; a < k; a++) t += Q[i * k + a] * z[a];
+    return t;
+  });
+  const rest = Float64Array.from(p);      // p − Σ_j α_j·q_j
+  ratings.forEach(({ i }, j) => { for (let a = 0; a < k; a++) rest[a] -= alpha[j] * Q[i * k + a]; });
+
+  return item => {
+    const off = item * k;
+    let residual = 0;
+    for (let a = 0; a < k; a++) residual += rest[a] * Q[off + a];
+    const contributions = Float64Array.from(ratings, ({ i }, j) => {
+      let t = 0;
+      for (let a = 0; a < k; a++) t += Q[i * k + a] * Q[off + a];
+      return alpha[j] * t;
+    });
+    return { contributions, residual };
+  };
+}
+
+/**
+ * Solve A·x = b for symmetric positive-definite A (row-major n×n, only the lower triangle is read).
+ * Overwrites A with its Cholesky factor and b with x.
+ * @param {Float64Array} A
+ * @param {Float64Array} b
+ * @param {number} n
+ */
+function choleskySolve(A, b, n) {
+  choleskyFactor(A, n);
+  choleskySubstitute(A, b, n);
+}
+
+// In place: lower triangle of A becomes L with A = L·Lᵀ
+function choleskyFactor(A, n) {
+  for (let j = 0; j < n; j++) {
+    let s = A[j * n + j];
+    for (let m = 0; m < j; m++) s -= A[j * n + m] * A[j * n + m];
+    const diag = Math.sqrt(Math.max(s, 1e-12));
+    A[j * n + j] = diag;
+    for (let i = j + 1; i < n; i++) {
+      let t = A[i * n + j];
+      for (let m = 0; m < j; m++) t -= A[i * n + m] * A[j * n + m];
+      A[i * n + j] = t / diag;
+    }
+  }
+}
+
+// In place: b becomes x with L·Lᵀ·x = b (L from choleskyFactor)
+function choleskySubstitute(L, b, n) {
+  for (let i = 0; i < n; i++) {           // L·z = b
+    let t = b[i];
+    for (let m = 0; m < i; m++) t -= L[i * n + m] * b[m];
+    b[i] = t / L[i * n + i];
+  }
+  for (let i = n - 1; i >= 0; i--) {      // Lᵀ·x = z
+    let t = b[i];
+    for (let m = i + 1; m < n; m++) t -= L[m * n + i] * b[m];
+    b[i] = t / L[i * n + i];
+  }
+}
+
+/**
+ * Implicit-feedback (WRMF) variant of alsSolveSide, no biases. Every train rating is a positive
+ * (p = 1) with confidence c = 1 + alpha·r; every other cell is a zero with confidence 1.
+ * Uses the YᵀY + Yᵀ(C_x − I)Y identity, so each row costs O(n_x·k²) instead of O(nCols·k²):
+ *   x = (YᵀY + Σ_{y ∈ R(x)} (c_xy − 1)·y yᵀ + λ·n_x·I)⁻¹ · Σ_{y ∈ R(x)} c_xy·y
+ * @param {AlsRows} rows ratings of this side's rows
+ * @param {Float32Array} X this side's factors [nRows*k] (written)
+ * @param {Float32Array} Y other side's factors [nCols*k]
+ * @param {number} k
+ * @param {number} alpha confidence slope
+ * @param {number} lambda
+ */
+function implicitAlsSolveSide(rows, X, Y, k, alpha, lambda) {
+  const nCols = Y.length / k;
+  const YtY = new Float64Array(k * k);    // lower triangle
+  for (let y = 0; y < nCols; y++) {
+    const off = y * k;
+    for (let a = 0; a < k; a++) {
+      const ya = Y[off + a];
+      for (let c = 0; c <= a; c++) YtY[a * k + c] += ya * Y[off + c];
+    }
+  }
+
+  const A = new Float64Array(k * k);
+  const b = new Float64Array(k);
+  const nRows = rows.offsets.length - 1;
+
+  for (let x = 0; x < nRows; x++) {
+    const start = rows.offsets[x], end = rows.offsets[x + 1];
+    if (start === end) {
+      X.fill(0, x * k, x * k + k);
+      continue;
+    }
+    A.set(YtY); b.fill(0);
+    for (let e = start; e < end; e++) {
+      const conf = 1 + alpha * rows.vals[e];
+      const off = rows.cols[e] * k;
+      for (let a = 0; a < k; a++) {
+        const ya = Y[off + a];
+        b[a] += conf * ya;
+        const w = (conf - 1) * ya;
+        for (let c = 0; c <= a; c++) A[a * k + c] += w * Y[off + c];
+      }
+    }
+    const reg = lambda * (end - start);
+    for (let a = 0; a < k; a++) A[a * k + a] += reg;
+    choleskySolve(A, b, k);
+    for (let a = 0; a < k; a++) X[x * k + a] = b[a];
+  }
+}
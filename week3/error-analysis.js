@@ -0,0 +1,150 @@
+// error-analysis.js
+// Where rating predictions go wrong: validation error broken down by user activity, item popularity,
+// genre, release year and true rating, a predicted-vs-actual histogram and the worst users / items.
+// Pure JS — the caller (mf-worker.js) supplies the predictions.
+
+/**
+ * Error statistics of one group; bias = mean(predicted − actual), > 0 means over-predicted.
+ * @typedef {{label:string, n:number, rmse:number, mae:number, bias:number}} ErrorGroup
+ */
+
+/**
+ * @typedef {{
+ *   n:number, overall:ErrorGroup,
+ *   byUserActivity:ErrorGroup[], byItemPopularity:ErrorGroup[], byGenre:ErrorGroup[],
+ *   byYear:ErrorGroup[], byRating:ErrorGroup[],
+ *   histogram:{ratings:number[], bins:{lo:number, hi:number}[], counts:number[][]},
+ *   worstUsers:{u:number, n:number, rmse:number, mae:number, bias:number, activity:number}[],
+ *   worstItems:{i:number, n:number, rmse:number, mae:number, bias:number, popularity:number}[]
+ * }} ErrorReport
+ */
+
+// Lower edges of the activity / popularity buckets (ratings in the whole dataset)
+const USER_ACTIVITY_EDGES = [1, 20, 50, 100, 200, 400];
+const ITEM_POPULARITY_EDGES = [1, 10, 25, 50, 100, 200, 400];
+
+// Predicted-value bins of the histogram over the rating scale; predictions outside it land in the end bins
+const HIST_BIN_WIDTH = 0.5;
+
+// Worst users / items: only those with this many validation ratings (RMSE of 1–2 ratings is noise)
+const WORST_MIN_RATINGS = 5;
+const WORST_LIST_SIZE = 10;
+
+// Running error sums per key: { n, se, ae, sum }
+function addToTally(tally, key, err) {
+  let t = tally.get(key);
+  if (!t) tally.set(key, (t = { n: 0, se: 0, ae: 0, sum: 0 }));
+  t.n++; t.se += err * err; t.ae += Math.abs(err); t.sum += err;
+}
+
+function summarize(t) {
+  const n = Math.max(1, t.n);
+  return { n: t.n, rmse: Math.sqrt(t.se / n), mae: t.ae / n, bias: t.sum / n };
+}
+
+/**
+ * Error sums per labelled group, reported in the order of each group's sort key.
+ */
+function createErrorGroups() {
+  const tally = new Map();   // label -> sums
+  const order = new Map();   // label -> sort key
+  return {
+    add(label, key, err) {
+      if (!order.has(label)) order.set(label, key);
+      addToTally(tally, label, err);
+    },
+    /** @returns {ErrorGroup[]} */
+    result() {
+      return Array.from(tally, ([label, t]) => ({ label, ...summarize(t) }))
+        .sort((a, b) => order.get(a.label) - order.get(b.label));
+    }
+  };
+}
+
+// [label, sort key] of the bucket holding count x: "20–49", "400+"
+function bucketOf(edges, x) {
+  let b = 0;
+  while (b + 1 < edges.length && x >= edges[b + 1]) b++;
+  const label = b + 1 < edges.length ? `${edges[b]}–${edges[b + 1] - 1}` : `${edges[b]}+`;
+  return [label, b];
+}
+
+// [label, sort key] of a release year: decades, with everything before 1950 together
+function yearBucketOf(year) {
+  if (!Number.isFinite(year)) return ['unknown', Infinity];
+  if (year < 1950) return ['before 1950', 0];
+  const decade = Math.floor(year / 10) * 10;
+  return [`${decade}s`, decade];
+}
+
+// Highest-RMSE keys of a tally as { [keyName]: key, n, rmse, mae, bias, [countName]: counts[key] }
+function worstOf(tally, keyName, countName, counts) {
+  return Array.from(tally)
+    .filter(([, t]) => t.n >= WORST_MIN_RATINGS)
+    .map(([key, t]) => ({ [keyName]: key, ...summarize(t), [countName]: counts[key] }))
+    .sort((a, b) => b.rmse - a.rmse)
+    .slice(0, WORST_LIST_SIZE);
+}
+
+/**
+ * Break prediction error down every way the dashboard shows it.
+ * @param {{users:Int32Array, items:Int32Array, actual:Float32Array, predicted:Float32Array}} rows validation pairs
+ * @param {{userActivity:ArrayLike<number>, itemPopularity:ArrayLike<number>, movies:{genres:string[], year?:number}[],
+ *   scale:{min:number, max:number}}} ctx ratings per user (userRatedItems sizes) and per item over the whole
+ *   dataset; movies by dense index; the dataset's rating scale
+ * @returns {ErrorReport}
+ */
+function analyzeErrors(rows, ctx) {
+  const overall = createErrorGroups();
+  const byUserActivity = createErrorGroups();
+  const byItemPopularity = createErrorGroups();
+  const byGenre = createErrorGroups();
+  const byYear = createErrorGroups();
+  const byRating = createErrorGroups();
+  const perUser = new Map(), perItem = new Map();
+
+  const histMin = ctx.scale.min;
+  const nBins = Math.max(1, Math.round((ctx.scale.max - histMin) / HIST_BIN_WIDTH));
+  const histRows = new Map();   // actual rating -> counts per predicted bin
+
+  const n = rows.actual.length;
+  for (let t = 0; t < n; t++) {
+    const u = rows.users[t], i = rows.items[t];
+    const actual = rows.actual[t], pred = rows.predicted[t];
+    const err = pred - actual;
+    const m = ctx.movies[i];
+
+    overall.add('all', 0, err);
+    byUserActivity.add(...bucketOf(USER_ACTIVITY_EDGES, ctx.userActivity[u]), err);
+    byItemPopularity.add(...bucketOf(ITEM_POPULARITY_EDGES, ctx.itemPopularity[i]), err);
+    const genres = m.genres.length ? m.genres : ['unknown'];
+    for (const g of genres) byGenre.add(g, 0, err);
+    byYear.add(...yearBucketOf(m.year), err);
+    byRating.add(String(actual), actual, err);
+    addToTally(perUser, u, err);
+    addToTally(perItem, i, err);
+
+    if (!histRows.has(actual)) histRows.set(actual, new Array(nBins).fill(0));
+    const bin = Math.min(nBins - 1, Math.max(0, Math.floor((pred - histMin) / HIST_BIN_WIDTH)));
+    histRows.get(actual)[bin]++;
+  }
+
+  const ratings = Array.from(histRows.keys()).sort((a, b) => a - b);
+  return {
+    n,
+    overall: overall.result()[0] || { label: 'all', n: 0, rmse: NaN, mae: NaN, bias: NaN },
+    byUserActivity: byUserActivity.result(),
+    byItemPopularity: byItemPopularity.result(),
+    // genres by error, worst first (a movie counts once for each of its genres)
+    byGenre: byGenre.result().sort((a, b) => b.rmse - a.rmse),
+    byYear: byYear.result(),
+    byRating: byRating.result(),
+    histogram: {
+      ratings,
+      bins: Array.from({ length: nBins }, (_, b) => ({ lo: histMin + b * HIST_BIN_WIDTH, hi: histMin + (b + 1) * HIST_BIN_WIDTH })),
+      counts: ratings.map(r => histRows.get(r))
+    },
+    worstUsers: worstOf(perUser, 'u', 'activity', ctx.userActivity),
+    worstItems: worstOf(perItem, 'i', 'popularity', ctx.itemPopularity)
+  };
+}
@@ -0,0 +1,155 @@
+// hparam-search.js
+// Hyperparameter search plans for MF: parse value specs, build grid / random configurations, sort results.
+// Pure JS — script.js trains each configuration on a fixed split.
+
+/** @typedef {{k:number, lr:number, lambda:number, batchSize:number}} HyperConfig */
+
+/**
+ * One finished trial.
+ * @typedef {{
+ *   id:number, config:HyperConfig,
+ *   valRMSE:number, trainRMSE:number, bestEpoch:number, seconds:number, seed:number
+ * }} SearchResult
+ */
+
+/**
+ * Value spec for one parameter: an explicit list, or a [min, max] range.
+ * @typedef {{values:number[]}|{range:[number, number]}} SearchSpec
+ */
+
+// Bounds match the clamps used by onTrain; log-scaled params are sampled/spaced geometrically
+const SEARCH_PARAMS = {
+  k:         { label: 'k',      min: 2,    max: 128,  int: true,  log: false },
+  lr:        { label: 'lr',     min: 1e-5, max: 0.5,  int: false, log: true },
+  lambda:    { label: 'lambda', min: 0,    max: 0.1,  int: false, log: true },
+  batchSize: { label: 'batch',  min: 64,   max: 4096, int: true,  log: false }
+};
+
+// A range in grid mode expands to this many points
+const SEARCH_GRID_POINTS = 3;
+
+// Refuse plans larger than this (each trial is a full training run)
+const SEARCH_MAX_TRIALS = 200;
+
+// ---------------- Specs ----------------
+
+/**
+ * Parse "8 16 32" / "8; 16; 32" (list) or "0.001..0.05" (range). Commas are decimal points,
+ * as in the other inputs. Values are clamped to the parameter's bounds.
+ * @param {string} text
+ * @param {keyof SEARCH_PARAMS} name
+ * @returns {SearchSpec}
+ */
+function parseSearchSpec(text, name) {
+  const p = SEARCH_PARAMS[name];
+  const src = String(text).trim().replace(/,/g, '.');
+  const num = s => {
+    const n = Number(s);
+    if (s === '' || !Number.isFinite(n)) throw new Error(`Invalid ${p.label} values: "${text}".`);
+    const v = Math.max(p.min, Math.min(p.max, n));
+    return p.int ? Math.round(v) : v;
+  };
+
+  const m = src.match(/^(\S+)\s*\.\.\s*(\S+)$/);
+  if (m) {
+    const a = num(m[1]), b = num(m[2]);
+    return { range: [Math.min(a, b), Math.max(a, b)] };
+  }
+  const values = src.split(/[\s;]+/).filter(Boolean).map(num);
+  if (!values.length) throw new Error(`No ${p.label} values given.`);
+  return { values: Array.from(new Set(values)) };
+}
+
+// n evenly spaced points of a range (geometric for log params with a positive lower bound)
+function rangePoints([lo, hi], name, n) {
+  const p = SEARCH_PARAMS[name];
+  if (lo === hi || n < 2) return [lo];
+  const geometric = p.log && lo > 0;
+  const out = [];
+  for (let t = 0; t < n; t++) {
+    const f = t / (n - 1);
+    const v = geometric ? lo * Math.pow(hi / lo, f) : lo + (hi - lo) * f;
+    out.push(p.int ? Math.round(v) : v);
+  }
+  return Array.from(new Set(out));
+}
+
+// One random value from a spec (log-uniform for log params with a positive lower bound)
+function sampleSpec(spec, name, rand) {
+  if (spec.values) return spec.values[Math.floor(rand() * spec.values.length)];
+  const p = SEARCH_PARAMS[name];
+  const [lo, hi] = spec.range;
+  const v = p.log && lo > 0
+    ? lo * Math.pow(hi / lo, rand())
+    : lo + (hi - lo) * rand();
+  return p.int ? Math.round(v) : v;
+}
+
+// ---------------- Plans ----------------
+
+/**
+ * Cartesian product of all specs.
+ * @param {Record<keyof SEARCH_PARAMS, SearchSpec>} specs
+ * @returns {HyperConfig[]}
+ */
+function expandSearchGrid(specs) {
+  let configs = [{}];
+  for (const name of Object.keys(SEARCH_PARAMS)) {
+    const spec = specs[name];
+    const values = spec.values || rangePoints(spec.range, name, SEARCH_GRID_POINTS);
+    configs = configs.flatMap(c => values.map(v => ({ ...c, [name]: v })));
+    if (configs.length > SEARCH_MAX_TRIALS) {
+      throw new Error(`Grid has more than ${SEARCH_MAX_TRIALS} configurations — narrow the ranges.`);
+    }
+  }
+  return configs;
+}
+
+/**
+ * n independent random configurations.
+ * @param {Record<keyof SEARCH_PARAMS, SearchSpec>} specs
+ * @param {number} n
+ * @param {() => number} [rand] uniform [0,1) source (createRng for a reproducible plan)
+ * @returns {HyperConfig[]}
+ */
+function sampleSearchConfigs(specs, n, rand = Math.random) {
+  const count = Math.min(n, SEARCH_MAX_TRIALS);
+  const configs = [];
+  for (let t = 0; t < count; t++) {
+    const c = {};
+    for (const name of Object.keys(SEARCH_PARAMS)) c[name] = sampleSpec(specs[name], name, rand);
+    configs.push(c);
+  }
+  return configs;
+}
+
+// ---------------- Results ----------------
+
+/**
+ * Sorted copy of the results. Keys are SearchResult fields or HyperConfig fields.
+ * @param {SearchResult[]} results
+ * @param {string} key
+ * @param {1|-1} dir 1 = ascending
+ * @returns {SearchResult[]}
+ */
+function sortSearchResults(results, key, dir = 1) {
+  const get = r => (key in r.config ? r.config[key] : r[key]);
+  return results.slice().sort((a, b) => dir * (get(a) - get(b)) || a.valRMSE - b.valRMSE);
+}
+
+/** @param {SearchResult[]} results @returns {SearchResult|null} lowest val RMSE */
+function bestSearchResult(results) {
+  let best = null;
+  for (const r of results) if (!best || r.valRMSE < best.valRMSE) best = r;
+  return best;
+}
+
+// 3 significant digits without trailing zeros (0.0224, 0.0001, 0)
+function formatParam(x) {
+  return String(Number(x.toPrecision(3)));
+}
+
+/** @param {HyperConfig} c */
+function describeConfig(c) {
+  return `k=${c.k} · lr=${formatParam(c.lr)} · lambda=${formatParam(c.lambda)} · batch=${c.batchSize}`;
+}
@@ -0,0 +1,812 @@
+// mf-engine.js
+// The MF model and all its number crunching, on the data.js globals: train/val split, training
+// (Adam / ALS / WRMF), validation, ranking evaluation, recommendation scoring, similar items,
+// fold-in and error analysis. No DOM and no messaging — mf-worker.js serves it to the page,
+// cli/train.js runs it under Node. Needs tf, data.js, rng.js, metrics.js, als.js, model-store.js
+// and error-analysis.js loaded first.
+
+// ---------------- Engine State ----------------
+// Hyperparameters arrive with every train() call (see trainParams in script.js)
+const state = {
+  trained: false,
+  stopRequested: false,
+
+  // Data dims
+  U: 0,
+  I: 0,
+
+  // Hyperparams
+  k: 16,
+  epochs: 15,
+  batchSize: 2048,
+  lr: 0.01,
+  lambda: 1e-4,
+  seed: DEFAULT_SEED,
+  rng: null,
+  model: 'mf',
+  solver: 'sgd',
+  alsLambda: 0.1,
+  implicitAlpha: 2,
+  evalK: 10,
+  evalThreshold: 4,
+  evalWhen: 'end',
+  splitStrategy: 'random',
+  trainFrac: 0.9,
+  leaveOutN: 1,
+  split: { trainIdx: null, valIdx: null, info: '' },
+  patience: 3,
+  lrSchedule: 'constant',
+  history: [],
+  bestEpoch: 0,
+
+  // TF Variables
+  P: null,   // [U,k]
+  Q: null,   // [I,k]
+  bu: null,  // [U]
+  bi: null,  // [I]
+  mu: null,  // scalar
+  Y: null,   // [I,k] implicit item factors (SVD++ only)
+  N: null,   // {offsets, items, weight}: the items each user rated and |N(u)|^-1/2 (SVD++ only, plain arrays)
+
+  optimizer: null,
+
+  // Last completed epoch (also restored from saved models)
+  metrics: { trainRMSE: NaN, valRMSE: NaN }
+};
+
+// ---------------- Hooks ----------------
+// Progress reports, no-ops until the host replaces them: mf-worker.js posts them to the page,
+// the CLI prints them. The set* helpers keep the page's UI helper names, so the training code reads as before.
+const engineHooks = {
+  status: text => {},
+  progress: percent => {},
+  split: info => {},
+  trainInfo: (epoch, epochs, trainRMSE, valRMSE, lr) => {},
+  rank: (metrics, K, epoch) => {},
+  history: (history, bestEpoch) => {}
+};
+const setStatus = text => engineHooks.status(text);
+const setProgress = percent => engineHooks.progress(percent);
+const setTrainInfo = (epoch, epochs, trainRMSE, valRMSE, lr = NaN) =>
+  engineHooks.trainInfo(epoch, epochs, trainRMSE, valRMSE, lr);
+const setRankMetrics = (metrics, K, epoch = null) => engineHooks.rank(metrics, K, epoch);
+const renderHistory = (history, bestEpoch) => engineHooks.history(history, bestEpoch);
+
+// Let queued messages (cancel above all) in between training steps
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// ---------------- Data ----------------
+// Size the model to the data.js globals; call after every loadData (drops the current model)
+function attachData() {
+  disposeModel();
+  getRawUserIdFromDense.cache = null;
+  state.U = userIndexByRawId.size;
+  state.I = movieIndexByRawId.size;
+}
+
+// ---------------- Train ----------------
+// One training run from scratch; the split is redrawn from the seed each time, so runs
+// with the same seed and split settings (search trials, comparisons) share it.
+async function train(params) {
+  await tf.ready();
+  console.log('TF backend:', tf.getBackend());
+  Object.assign(state, params);
+  state.stopRequested = false;
+
+  disposeModel();
+  buildModel();
+  makeTrainValSplit(state.splitStrategy, { trainFrac: state.trainFrac, leaveOutN: state.leaveOutN });
+  engineHooks.split(state.split.info);
+  if (!state.split.trainIdx?.length || !state.split.valIdx?.length) {
+    throw new Error('Train/val split is empty — check parsed ratings.');
+  }
+  if (state.Y) state.N = buildImplicitLists(state.split.trainIdx);
+
+  await trainLoop();
+  let rank = null;
+  if (!state.stopRequested && state.evalWhen === 'end') {
+    setStatus('Evaluating ranking quality on the validation split…');
+    rank = await evaluateRanking();
+  }
+  state.trained = !state.stopRequested;
+  return {
+    canceled: state.stopRequested,
+    metrics: state.metrics, history: state.history, bestEpoch: state.bestEpoch, rank
+  };
+}
+
+// Build TF variables & optimizer; starts a fresh training stream from state.seed, so every
+// run (single, search trial, comparison) with the same seed gets the same init and batches.
+// Adam starts the factors near zero; ALS / WRMF at 1/√k, so P·Q is O(1) from the first solve
+// instead of a few near-bias-only sweeps.
+function buildModel() {
+  state.rng = createRng(state.seed, MF_RNG_STREAMS.train);
+  const stddev = state.solver === 'sgd' ? 0.01 : 1 / Math.sqrt(state.k);
+  const init = shape => tf.randomNormal(shape, 0, stddev, 'float32', nextTensorSeed(state.rng));
+  state.P  = tf.variable(init([state.U, state.k]), true, 'P');
+  state.Q  = tf.variable(init([state.I, state.k]), true, 'Q');
+  state.bu = tf.variable(tf.zeros([state.U], 'float32'), true, 'bu');
+  state.bi = tf.variable(tf.zeros([state.I], 'float32'), true, 'bi');
+  state.mu = tf.scalar(STATS.mean, 'float32');
+  if (state.model === 'svdpp') state.Y = tf.variable(init([state.I, state.k]), true, 'Y');
+  state.optimizer = tf.train.adam(state.lr);
+}
+
+// SVD++ implicit feedback: N(u) is the items u rated in the train split. Held-out items stay
+// out — their Y rows would tell the model which items it is evaluated on — so SVD++ sees the
+// same ratings as plain MF. Stored per user (items[offsets[u]..offsets[u+1]]) so memory grows
+// with the ratings, not U·I. Build it before training shuffles trainIdx: restoreModel rebuilds
+// it from a fresh split, and the same order gives the same sums.
+function buildImplicitLists(trainIdx) {
+  const offsets = new Int32Array(state.U + 1);
+  for (const t of trainIdx) offsets[ratingsTriples[t].u + 1]++;
+  for (let u = 0; u < state.U; u++) offsets[u + 1] += offsets[u];
+  const items = new Int32Array(offsets[state.U]);
+  const fill = offsets.slice(0, state.U);
+  for (const t of trainIdx) {
+    const { u, i } = ratingsTriples[t];
+    items[fill[u]++] = i;
+  }
+  const weight = new Float32Array(state.U);
+  for (let u = 0; u < state.U; u++) {
+    const n = offsets[u + 1] - offsets[u];
+    weight[u] = n ? 1 / Math.sqrt(n) : 0;
+  }
+  return { offsets, items, weight };
+}
+
+// User factors for the users in uIdx (int32 [B]) as the model sees them: P[u], or for SVD++
+// P[u] + |N(u)|^-1/2 · Σ_{j∈N(u)} Y[j]. yRows are the Y rows gathered for that sum (null
+// without SVD++) — the only rows of Y a training step touches. Call inside tf.tidy.
+function userFactorsFor(uIdx) {
+  const Pu = tf.gather(state.P, uIdx);   // [B,k]
+  if (!state.Y) return { factors: Pu, yRows: null };
+
+  // Each distinct user's sum is built once, then spread back over the batch
+  const uArr = uIdx.dataSync();
+  const slotOf = new Map(), users = [];
+  const rowSlot = new Int32Array(uArr.length);
+  for (let b = 0; b < uArr.length; b++) {
+    let s = slotOf.get(uArr[b]);
+    if (s === undefined) { s = users.length; slotOf.set(uArr[b], s); users.push(uArr[b]); }
+    rowSlot[b] = s;
+  }
+  const { offsets, items, weight } = state.N;
+  let nnz = 0;
+  for (const u of users) nnz += offsets[u + 1] - offsets[u];
+  const idx = new Int32Array(nnz), seg = new Int32Array(nnz), w = new Float32Array(users.length);
+  for (let s = 0, p = 0; s < users.length; s++) {
+    const u = users[s];
+    for (let t = offsets[u]; t < offsets[u + 1]; t++, p++) { idx[p] = items[t]; seg[p] = s; }
+    w[s] = weight[u];
+  }
+
+  const yRows = tf.gather(state.Y, tf.tensor1d(idx, 'int32'));                        // [nnz,k]
+  const sums = tf.unsortedSegmentSum(yRows, tf.tensor1d(seg, 'int32'), users.length)   // [S,k]
+    .mul(tf.tensor2d(w, [users.length, 1]));
+  return { factors: tf.add(Pu, tf.gather(sums, tf.tensor1d(rowSlot, 'int32'))), yRows };
+}
+
+// Dispose everything
+function disposeModel() {
+  try {
+    state.P?.dispose(); state.Q?.dispose();
+    state.bu?.dispose(); state.bi?.dispose();
+    state.mu?.dispose();
+    state.Y?.dispose();
+    if (state.optimizer?.dispose) state.optimizer.dispose();
+  } catch {}
+  state.P = state.Q = state.bu = state.bi = state.mu = state.Y = state.N = null;
+  state.optimizer = null; state.trained = false;
+  state.metrics = { trainRMSE: NaN, valRMSE: NaN };
+  state.history = []; state.bestEpoch = 0;
+}
+
+// Train/val split over ratingsTriples indices.
+//  random       — uniform shuffle, trainFrac to train
+//  time-global  — one timestamp cutoff: the oldest trainFrac of all ratings train
+//  user-chrono  — per user, their oldest trainFrac ratings train, newest validate
+//  leave-last-n — per user, the newest leaveOutN ratings validate (users with ≤ N ratings train only)
+function makeTrainValSplit(strategy = 'random', { trainFrac = 0.9, leaveOutN = 1 } = {}) {
+  const n = ratingsTriples.length;
+  const byTime = (a, b) => ratingsTriples[a].ts - ratingsTriples[b].ts;
+  let train = [], val = [], note = '';
+
+  if (strategy === 'time-global') {
+    const idx = Array.from({ length: n }, (_, t) => t).sort(byTime);
+    const nTrain = Math.floor(n * trainFrac);
+    train = idx.slice(0, nTrain); val = idx.slice(nTrain);
+    if (val.length) note = `, cutoff ${formatTs(ratingsTriples[val[0]].ts)}`;
+  } else if (strategy === 'user-chrono' || strategy === 'leave-last-n') {
+    const perUser = new Map();
+    for (let t = 0; t < n; t++) {
+      const u = ratingsTriples[t].u;
+      if (!perUser.has(u)) perUser.set(u, []);
+      perUser.get(u).push(t);
+    }
+    for (const list of perUser.values()) {
+      list.sort(byTime);
+      const nTrain = strategy === 'user-chrono'
+        ? Math.max(1, Math.floor(list.length * trainFrac))
+        : (list.length > leaveOutN ? list.length - leaveOutN : list.length);
+      for (let k = 0; k < list.length; k++) (k < nTrain ? train : val).push(list[k]);
+    }
+  } else {
+    strategy = 'random';
+    const idx = new Int32Array(n);
+    for (let t = 0; t < n; t++) idx[t] = t;
+    shuffleInPlace(idx, createRng(state.seed, MF_RNG_STREAMS.split));
+    const nTrain = Math.floor(n * trainFrac);
+    train = idx.slice(0, nTrain); val = idx.slice(nTrain);
+  }
+
+  state.split.trainIdx = Int32Array.from(train);
+  state.split.valIdx   = Int32Array.from(val);
+
+  const label = {
+    'random': `random ${Math.round(trainFrac * 100)}/${Math.round((1 - trainFrac) * 100)}, seed ${state.seed}`,
+    'time-global': `global time cutoff at ${Math.round(trainFrac * 100)}%`,
+    'user-chrono': `per-user chronological ${Math.round(trainFrac * 100)}%`,
+    'leave-last-n': `per-user leave-last-${leaveOutN}-out`
+  }[strategy];
+  state.split.info = `split: ${label} — train ${train.length.toLocaleString()} / val ${val.length.toLocaleString()}${note}`;
+}
+
+function formatTs(ts) {
+  return ts ? new Date(ts * 1000).toISOString().slice(0, 10) : '–';
+}
+
+// Train loop
+async function trainLoop() {
+  const schedule = createLrSchedule(state.lrSchedule, state.lr, state.epochs);
+  const implicit = state.solver === 'wrmf';
+  const als = state.solver === 'als' || implicit ? createAlsSolver(implicit) : null;
+
+  state.history = [];
+  state.bestEpoch = 0;
+  renderHistory(state.history, 0);
+  let best = null;        // { epoch, metrics, monitored, weights } of the best epoch so far
+  let sinceBest = 0;
+
+  for (let epoch = 1; epoch <= state.epochs; epoch++) {
+    if (state.stopRequested) break;
+    // ALS has no learning rate; its history rows show "–"
+    const lr = als ? NaN : schedule.lrForEpoch(epoch);
+
+    // implicit models fit 0/1 preferences, so RMSE against ratings means nothing there
+    const trainRMSE = als ? await als.sweep(epoch) : await sgdEpoch(epoch, lr);
+    const valRMSE   = implicit ? NaN : await computeSplitRMSE(state.split.valIdx, 4096);
+    state.metrics = { trainRMSE, valRMSE };
+    setTrainInfo(epoch, state.epochs, trainRMSE, valRMSE, lr);
+    if (state.stopRequested) break;
+
+    let ndcg = NaN;
+    if (implicit || state.evalWhen === 'epoch') {
+      const rank = await evaluateRanking();
+      setRankMetrics(rank, state.evalK, epoch);
+      ndcg = rank.ndcg;
+    }
+
+    state.history.push({ epoch, trainRMSE, valRMSE, lr, ndcg });
+    // lower is better: val RMSE, or −NDCG for implicit models
+    const monitored = implicit ? -ndcg : valRMSE;
+    schedule.observe(monitored);
+    if (!best || monitored < best.monitored) {
+      disposeWeights(best?.weights);
+      best = { epoch, metrics: state.metrics, monitored, weights: cloneWeights() };
+      state.bestEpoch = epoch;
+      sinceBest = 0;
+    } else {
+      sinceBest++;
+    }
+    renderHistory(state.history, state.bestEpoch);
+
+    if (state.patience > 0 && sinceBest >= state.patience) break;
+  }
+
+  // Roll back to the best epoch unless the run was canceled
+  if (best && !state.stopRequested && best.epoch !== state.history[state.history.length - 1].epoch) {
+    state.P.assign(best.weights.P); state.Q.assign(best.weights.Q);
+    state.bu.assign(best.weights.bu); state.bi.assign(best.weights.bi);
+    if (state.Y) state.Y.assign(best.weights.Y);
+    state.metrics = best.metrics;
+  }
+  disposeWeights(best?.weights);
+}
+
+// One pass of Adam over shuffled mini-batches; returns the epoch's train RMSE (running batch average)
+async function sgdEpoch(epoch, lr) {
+  const nTrain = state.split.trainIdx.length;
+  const stepsPerEpoch = Math.ceil(nTrain / state.batchSize);
+  state.optimizer.learningRate = lr;
+  shuffleInPlace(state.split.trainIdx, state.rng);
+
+  let mseSum = 0, count = 0;
+
+  for (let step = 0; step < stepsPerEpoch; step++) {
+    if (state.stopRequested) break;
+    const start = step * state.batchSize;
+    const end   = Math.min(nTrain, start + state.batchSize);
+    const { uBatch, iBatch, rBatch } = buildBatch(state.split.trainIdx, start, end);
+
+    const batchMSE = state.optimizer.minimize(() => tf.tidy(() => {
+      const { pred, yRows } = scoreBatch(uBatch, iBatch);   // [B]
+      const err  = tf.sub(pred, rBatch);            // [B]
+      const mse  = tf.mean(tf.mul(err, err));       // scalar
+
+      // L2 on gathered rows (scalars -> addN OK)
+      const Pu = tf.gather(state.P, uBatch);
+      const Qi = tf.gather(state.Q, iBatch);
+      const bu = tf.gather(state.bu, uBatch);
+      const bi = tf.gather(state.bi, iBatch);
+      const terms = [
+        tf.sum(tf.mul(Pu, Pu)),
+        tf.sum(tf.mul(Qi, Qi)),
+        tf.sum(tf.mul(bu, bu)),
+        tf.sum(tf.mul(bi, bi))
+      ];
+      // SVD++: only the Y rows this batch's users summed, like the P / Q rows above
+      if (yRows) terms.push(tf.sum(tf.mul(yRows, yRows)));
+      const reg = tf.mul(state.lambda, tf.addN(terms));
+      return tf.add(mse, reg);
+    }), true);
+
+    const mseVal = (await batchMSE.data())[0];
+    batchMSE.dispose();
+    mseSum += mseVal * (end - start);
+    count  += (end - start);
+
+    const progress = ((epoch - 1) / state.epochs + (step + 1) / state.epochs / stepsPerEpoch) * 100;
+    setProgress(progress);
+    await yieldToMessages();
+
+    uBatch.dispose(); iBatch.dispose(); rBatch.dispose();
+  }
+
+  return Math.sqrt(mseSum / Math.max(1, count));
+}
+
+// ALS keeps its own copies of the weights as flat arrays; each sweep solves users,
+// then items, and writes the result back into the TF variables used everywhere else.
+// Returns an object whose sweep(epoch) resolves to the train RMSE after the sweep (NaN when implicit).
+// Implicit (WRMF) mode: the train split's ratings are the positives (the user's
+// userRatedItems minus held-out ones); biases stay 0, so mu + P·Q ranks exactly like P·Q
+// and recommendForUser / evaluateRanking need no changes.
+function createAlsSolver(implicit = false) {
+  const { byUser, byItem } = buildAlsIndex(ratingsTriples, state.split.trainIdx, state.U, state.I);
+  const k = state.k, mu = STATS.mean;
+  const P = state.P.dataSync().slice(), Q = state.Q.dataSync().slice();
+  const bu = state.bu.dataSync().slice(), bi = state.bi.dataSync().slice();
+
+  const solve = (rows, X, bx, Y, by) => {
+    if (implicit) implicitAlsSolveSide(rows, X, Y, k, state.implicitAlpha, state.alsLambda);
+    else alsSolveSide(rows, X, bx, Y, by, k, mu, state.alsLambda);
+  };
+
+  return {
+    async sweep(epoch) {
+      solve(byUser, P, bu, Q, bi);
+      setProgress(((epoch - 0.5) / state.epochs) * 100);
+      await yieldToMessages();
+      solve(byItem, Q, bi, P, bu);
+      setProgress((epoch / state.epochs) * 100);
+
+      // copies: the CPU backend may adopt the array itself, and the next sweep
+      // would then rewrite tensors (e.g. the best-epoch clone) in place
+      tf.tidy(() => {
+        state.P.assign(tf.tensor2d(P.slice(), [state.U, k]));
+        state.Q.assign(tf.tensor2d(Q.slice(), [state.I, k]));
+        state.bu.assign(tf.tensor1d(bu.slice()));
+        state.bi.assign(tf.tensor1d(bi.slice()));
+      });
+      return implicit ? NaN : computeSplitRMSE(state.split.trainIdx, 8192);
+    }
+  };
+}
+
+// Copies of the current P/Q/bu/bi (and Y) (the caller disposes them)
+function cloneWeights() {
+  const w = { P: tf.clone(state.P), Q: tf.clone(state.Q), bu: tf.clone(state.bu), bi: tf.clone(state.bi) };
+  if (state.Y) w.Y = tf.clone(state.Y);
+  return w;
+}
+function disposeWeights(w) {
+  if (w) tf.dispose([w.P, w.Q, w.bu, w.bi, w.Y].filter(Boolean));
+}
+
+// Learning-rate schedules over epochs (1-based), relative to the base lr:
+//  constant — base lr throughout
+//  step     — multiplied by LR_DECAY every LR_STEP_EVERY epochs
+//  cosine   — cosine annealing from base lr down to LR_MIN_FRACTION·lr at the last epoch
+//  plateau  — multiplied by LR_DECAY after LR_PLATEAU_PATIENCE epochs without a val RMSE improvement
+const LR_DECAY = 0.5;
+const LR_STEP_EVERY = 5;
+const LR_PLATEAU_PATIENCE = 2;
+const LR_MIN_FRACTION = 0.01;
+
+function createLrSchedule(kind, baseLr, epochs) {
+  const minLr = baseLr * LR_MIN_FRACTION;
+  let plateauLr = baseLr, plateauBest = Infinity, plateauWait = 0;
+
+  return {
+    lrForEpoch(epoch) {
+      switch (kind) {
+        case 'step':
+          return baseLr * Math.pow(LR_DECAY, Math.floor((epoch - 1) / LR_STEP_EVERY));
+        case 'cosine': {
+          const t = epochs > 1 ? (epoch - 1) / (epochs - 1) : 0;
+          return minLr + 0.5 * (baseLr - minLr) * (1 + Math.cos(Math.PI * t));
+        }
+        case 'plateau':
+          return plateauLr;
+        default:
+          return baseLr;
+      }
+    },
+    // Feed the epoch's val RMSE (only 'plateau' reacts to it)
+    observe(valRMSE) {
+      if (valRMSE < plateauBest) { plateauBest = valRMSE; plateauWait = 0; return; }
+      if (++plateauWait >= LR_PLATEAU_PATIENCE) {
+        plateauLr = Math.max(minLr, plateauLr * LR_DECAY);
+        plateauWait = 0;
+      }
+    }
+  };
+}
+
+// Build batch tensors
+function buildBatch(splitIdx, start, end) {
+  const B = end - start;
+  const uArr = new Int32Array(B);
+  const iArr = new Int32Array(B);
+  const rArr = new Float32Array(B);
+  for (let b = 0; b < B; b++) {
+    const tri = ratingsTriples[splitIdx[start + b]];
+    uArr[b] = tri.u; iArr[b] = tri.i; rArr[b] = tri.r;
+  }
+  return {
+    uBatch: tf.tensor1d(uArr, 'int32'),
+    iBatch: tf.tensor1d(iArr, 'int32'),
+    rBatch: tf.tensor1d(rArr, 'float32')
+  };
+}
+
+// Predict for pairs (uBatch[i], iBatch[i]) → [B]
+function predictBatch(uBatch, iBatch) {
+  return tf.tidy(() => scoreBatch(uBatch, iBatch).pred);
+}
+
+// predictBatch's body, plus the SVD++ Y rows it used (see userFactorsFor); call inside tf.tidy
+function scoreBatch(uBatch, iBatch) {
+  const { factors: Pu, yRows } = userFactorsFor(uBatch);   // [B,k]
+  const Qi = tf.gather(state.Q, iBatch);   // [B,k]
+  const bu = tf.gather(state.bu, uBatch);  // [B]
+  const bi = tf.gather(state.bi, iBatch);  // [B]
+  const dot = tf.sum(tf.mul(Pu, Qi), 1);   // [B]
+  let base = tf.add(dot, bu);              // [B]
+  base = tf.add(base, bi);                 // [B]
+  return { pred: tf.add(base, state.mu), yRows };   // [B]
+}
+
+// RMSE over split (chunked)
+async function computeSplitRMSE(splitIdx, chunk = 8192) {
+  if (!splitIdx || splitIdx.length === 0) return NaN;
+  let sse = 0, n = 0;
+  for (let off = 0; off < splitIdx.length; off += chunk) {
+    const end = Math.min(splitIdx.length, off + chunk);
+    const { uBatch, iBatch, rBatch } = buildBatch(splitIdx, off, end);
+    const pred = predictBatch(uBatch, iBatch);
+    const err  = tf.sub(pred, rBatch);
+    const se   = await tf.sum(tf.mul(err, err)).data();
+    sse += se[0]; n += (end - off);
+    uBatch.dispose(); iBatch.dispose(); rBatch.dispose(); pred.dispose(); err.dispose();
+    await yieldToMessages();
+  }
+  return Math.sqrt(sse / Math.max(1, n));
+}
+
+// Top-K ranking quality on the validation split (metrics.js).
+// Every user with a held-out rating >= threshold gets all items ranked
+// except those they rated in train; chunked over users to bound memory.
+async function evaluateRanking(K = state.evalK, threshold = state.evalThreshold, chunk = 256) {
+  const trainSeen = new Map();
+  for (const t of state.split.trainIdx) {
+    const { u, i } = ratingsTriples[t];
+    if (!trainSeen.has(u)) trainSeen.set(u, []);
+    trainSeen.get(u).push(i);
+  }
+  const relevant = new Map();
+  for (const t of state.split.valIdx) {
+    const { u, i, r } = ratingsTriples[t];
+    if (r < threshold) continue;
+    if (!relevant.has(u)) relevant.set(u, new Set());
+    relevant.get(u).add(i);
+  }
+
+  const users = Array.from(relevant.keys());
+  const acc = createRankingAccumulator(state.I);
+  const kEff = Math.min(K, state.I);
+
+  for (let off = 0; off < users.length; off += chunk) {
+    const batch = users.slice(off, off + chunk);
+    const mask = new Float32Array(batch.length * state.I);
+    batch.forEach((u, b) => { for (const i of trainSeen.get(u) || []) mask[b * state.I + i] = -1e9; });
+
+    const topIdx = tf.tidy(() => {
+      const uIdx = tf.tensor1d(batch, 'int32');
+      const dot = tf.matMul(userFactorsFor(uIdx).factors, state.Q, false, true);    // [B,I]
+      const scores = dot.add(state.bi).add(tf.gather(state.bu, uIdx).expandDims(1))  // + bi + bu
+        .add(tf.tensor2d(mask, [batch.length, state.I]));
+      return tf.topk(scores, kEff).indices;                                         // [B,K]
+    });
+    const rows = await topIdx.array();
+    topIdx.dispose();
+    batch.forEach((u, b) => acc.add(rows[b], relevant.get(u), K));
+    await yieldToMessages();
+  }
+  return acc.result();
+}
+
+// ---------------- Save / Load ----------------
+// Snapshot format lives in model-store.js; the page stores / downloads what snapshotModel returns
+
+
+/** @returns {Promise<ModelSnapshot>} */
+async function snapshotModel() {
+  const [P, Q, bu, bi] = await Promise.all([state.P.data(), state.Q.data(), state.bu.data(), state.bi.data()]);
+  const weights = { P, Q, bu, bi };
+  if (state.Y) weights.Y = await state.Y.data();
+  return {
+    format: MODEL_FORMAT,
+    version: MODEL_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    hyper: {
+      k: state.k, lambda: state.lambda, lr: state.lr, epochs: state.epochs, batchSize: state.batchSize,
+      model: state.Y ? 'svdpp' : 'mf', seed: state.seed,
+      solver: state.solver, alsLambda: state.alsLambda, implicitAlpha: state.implicitAlpha,
+      splitStrategy: state.splitStrategy, trainFrac: state.trainFrac, leaveOutN: state.leaveOutN
+    },
+    mean: STATS.mean,
+    metrics: { ...state.metrics },
+    userRawIds: rawIdsByDenseIndex(userIndexByRawId),
+    itemRawIds: rawIdsByDenseIndex(movieIndexByRawId),
+    weights
+  };
+}
+
+// Replace the current model with a validated snapshot; the split is redrawn from its seed and
+// split settings, so validation-based views see the split the model was trained on
+function restoreModel(snap) {
+  validateModelSnapshot(snap, userIndexByRawId, movieIndexByRawId);
+  disposeModel();
+
+  const { k, lambda, lr, epochs, batchSize, model, seed = state.seed, solver, alsLambda, implicitAlpha,
+    splitStrategy, trainFrac, leaveOutN } = snapshotHyper(snap);
+  Object.assign(state, { k, lambda, lr, epochs, batchSize: batchSize || state.batchSize, model, seed,
+    solver, alsLambda, implicitAlpha, splitStrategy, trainFrac, leaveOutN });
+  makeTrainValSplit(splitStrategy, { trainFrac, leaveOutN });
+  engineHooks.split(state.split.info);
+  state.P  = tf.variable(tf.tensor2d(snap.weights.P, [state.U, k], 'float32'), true, 'P');
+  state.Q  = tf.variable(tf.tensor2d(snap.weights.Q, [state.I, k], 'float32'), true, 'Q');
+  state.bu = tf.variable(tf.tensor1d(snap.weights.bu, 'float32'), true, 'bu');
+  state.bi = tf.variable(tf.tensor1d(snap.weights.bi, 'float32'), true, 'bi');
+  state.mu = tf.scalar(snap.mean, 'float32');
+  if (model === 'svdpp') {
+    state.Y = tf.variable(tf.tensor2d(snap.weights.Y, [state.I, k], 'float32'), true, 'Y');
+    state.N = buildImplicitLists(state.split.trainIdx);
+  }
+  state.metrics = { trainRMSE: snap.metrics?.trainRMSE ?? NaN, valRMSE: snap.metrics?.valRMSE ?? NaN };
+  state.trained = true;
+}
+
+// ---------------- Recommend ----------------
+// Predict all items for user u, vectorized. No addN with mixed shapes.
+// Items failing `constraints` (see passesConstraints) are never recommended.
+function recommendForUser(u, topN = 10, constraints = null) {
+  const pu = tf.tidy(() => userFactorsFor(tf.tensor1d([u], 'int32')).factors.reshape([state.k])); // [k]
+  const puArr = pu.dataSync();
+  pu.dispose();
+  const seen = userRatedItems.get(u) || new Set();
+  return scoreItemsForUser(puArr, state.bu.dataSync()[u], seen, topN, constraints,
+    { u, rawUserId: getRawUserIdFromDense(u), ratings: getUserRatings(u, state.split.trainIdx) });
+}
+
+/**
+ * Ratings of dense user u among ratingsTriples[splitIdx] — the train split for explanations,
+ * since the model never saw the validation ratings.
+ * @returns {{i:number, r:number}[]}
+ */
+function getUserRatings(u, splitIdx) {
+  const out = [];
+  for (const t of splitIdx) {
+    const tri = ratingsTriples[t];
+    if (tri.u === u) out.push({ i: tri.i, r: tri.r });
+  }
+  return out;
+}
+
+// Shared scoring + explanation for a user vector pu [k] and bias buVal, whether the
+// user comes from training (recommendForUser) or was folded in (recommendForProfile).
+// `seen` items are skipped; `who` fills the u / rawUserId fields of each candidate and
+// its `ratings` feed the "because you rated" explanations.
+// WRMF fits 0/1 preferences, so its score is no rating: candidates carry the raw p·q as
+// `preference` (biases are 0) and `pred` is null; explicit models fill `pred` only.
+function scoreItemsForUser(pu, buVal, seen, topN, constraints, who) {
+  const implicit = state.solver === 'wrmf';
+  // Vectorized compute for all items with correct broadcasting
+  const out = tf.tidy(() => {
+    const dotVec = tf.matMul(state.Q, tf.tensor2d(pu, [state.k, 1])).reshape([state.I]); // [I]
+    let base = tf.add(dotVec, state.bi);                                // [I] + [I] -> [I]
+    base = tf.add(base, tf.scalar(buVal));                              // [I] + [] -> [I]
+    base = tf.add(base, state.mu);                                      // [I] + [] -> [I]
+    const pred = tf.clipByValue(base, STATS.scale.min, STATS.scale.max); // [I]
+    return { pred, dot: dotVec };
+  });
+
+  const predArr = Array.from(out.pred.dataSync()); // [I]
+  const dotArr  = Array.from(out.dot.dataSync());  // [I]
+  out.pred.dispose(); out.dot.dispose();
+
+  // Read biases once
+  const biArr = state.bi.dataSync(); // Float32Array length I
+  const mu = STATS.mean;
+
+  const candidates = [];
+  for (let i = 0; i < state.I; i++) {
+    if (seen.has(i)) continue;
+    const m = movies[i];
+    if (constraints && !passesConstraints(m, constraints)) continue;
+    candidates.push({
+      rank: 0,
+      u: who.u, i,
+      rawUserId: who.rawUserId,
+      rawItemId: m.rawId,
+      title: m.title,
+      imdbUrl: m.imdbUrl,
+      genres: m.genres,
+      pred: implicit ? null : predArr[i],
+      preference: implicit ? dotArr[i] : null,
+      parts: { mu, bu: buVal, bi: biArr[i], dot: dotArr[i] }
+    });
+  }
+
+  if (implicit) candidates.sort((a, b) => b.preference - a.preference);
+  else candidates.sort((a, b) => b.pred - a.pred);
+  for (let r = 0; r < candidates.length; r++) candidates[r].rank = r + 1;
+  const top = candidates.slice(0, topN);
+  explainWithRatings(top, who.ratings, pu);
+  return top;
+}
+
+// "Because you rated …": the user's liked movies (rating >= EXPLAIN_MIN_RATING) with the
+// largest positive share of each recommendation's dot product (als.js createDotExplainer).
+// rec.dotSplit holds the whole split of parts.dot: all rated movies' shares plus the residual.
+const EXPLAIN_MIN_RATING = 4;
+const EXPLAIN_MAX_ITEMS = 3;
+
+function explainWithRatings(recs, ratings, pu) {
+  if (!ratings?.length) return;
+  const explain = createDotExplainer(ratings, pu, state.Q.dataSync(), state.k);
+  for (const rec of recs) {
+    const { contributions: c, residual } = explain(rec.i);
+    rec.dotSplit = { rated: c.reduce((s, v) => s + v, 0), residual };
+    rec.because = ratings
+      .map(({ i, r }, j) => ({ i, r, value: c[j] }))
+      .filter(x => x.r >= EXPLAIN_MIN_RATING && x.value > 0)
+      .sort((a, b) => b.value - a.value)
+      .slice(0, EXPLAIN_MAX_ITEMS)
+      .map(x => ({ title: movies[x.i].title, rating: x.r, value: x.value }));
+  }
+}
+
+// ---------------- Similar Movies ----------------
+// Items closest to item i by cosine similarity of their Q rows
+function similarItems(i, topN = 10) {
+  const { values, indices } = tf.tidy(() => {
+    const norms = tf.maximum(tf.norm(state.Q, 'euclidean', 1), 1e-8);   // [I]
+    const Qn = tf.div(state.Q, norms.expandDims(1));                     // [I,k]
+    const qi = tf.gather(Qn, tf.tensor1d([i], 'int32'));                 // [1,k]
+    const cos = tf.matMul(Qn, qi, false, true).reshape([state.I]);       // [I]
+    return tf.topk(cos, Math.min(state.I, topN + 1));
+  });
+  const vals = values.dataSync(), idx = indices.dataSync();
+  values.dispose(); indices.dispose();
+
+  const out = [];
+  for (let r = 0; r < idx.length && out.length < topN; r++) {
+    if (idx[r] !== i) out.push({ i: idx[r], cosine: vals[r] });
+  }
+  return out;
+}
+
+// ---------------- Error Analysis ----------------
+// Validation predictions of the current model, broken down by error-analysis.js.
+// Predictions are unclipped, as in computeSplitRMSE, so the overall RMSE is the val RMSE.
+async function analyzeValidationErrors(chunk = 8192) {
+  if (state.solver === 'wrmf') throw new Error('Error analysis needs an explicit-rating model (Adam or ALS).');
+  const valIdx = state.split.valIdx;
+  if (!valIdx?.length) throw new Error('No validation split yet — train a model first.');
+
+  const n = valIdx.length;
+  const rows = {
+    users: new Int32Array(n), items: new Int32Array(n),
+    actual: new Float32Array(n), predicted: new Float32Array(n)
+  };
+  for (let off = 0; off < n; off += chunk) {
+    const end = Math.min(n, off + chunk);
+    const { uBatch, iBatch, rBatch } = buildBatch(valIdx, off, end);
+    const pred = predictBatch(uBatch, iBatch);
+    const [u, i, r, p] = await Promise.all([uBatch.data(), iBatch.data(), rBatch.data(), pred.data()]);
+    rows.users.set(u, off); rows.items.set(i, off); rows.actual.set(r, off); rows.predicted.set(p, off);
+    uBatch.dispose(); iBatch.dispose(); rBatch.dispose(); pred.dispose();
+    await yieldToMessages();
+  }
+
+  // Activity and popularity count every rating, train and validation alike
+  const userActivity = new Int32Array(state.U);
+  for (const [u, items] of userRatedItems) userActivity[u] = items.size;
+  const itemPopularity = new Int32Array(state.I);
+  for (const { i } of ratingsTriples) itemPopularity[i]++;
+
+  return analyzeErrors(rows, { userActivity, itemPopularity, movies, scale: STATS.scale });
+}
+
+// ---------------- Onboarding (cold start) ----------------
+// The visitor's user vector and bias are folded in against the frozen Q / bi
+// (als.js foldInUser) — no retraining. WRMF models fold in preferences the way they were
+// trained (foldInImplicitUser, the model's α and ALS λ) and have no bias.
+const FOLD_IN_LAMBDA = 0.1;   // ridge strength per rating, as the ALS λ
+
+/**
+ * @param {{i:number, r:number}[]} ratings
+ * @returns {{recs:object[], bias:number, implicit:boolean}}
+ */
+function recommendForProfile(ratings, topN, constraints) {
+  const n = ratings.length, k = state.k;
+  const seen = new Set(ratings.map(x => x.i));
+  if (state.solver === 'wrmf') {
+    const { p } = foldInImplicitUser(ratings, state.Q.dataSync(), k, state.implicitAlpha, state.alsLambda);
+    const recs = scoreItemsForUser(p, 0, seen, topN, constraints, { u: -1, rawUserId: null, ratings });
+    return { recs, bias: 0, implicit: true };
+  }
+  let offset = null;
+  if (state.Y) {
+    // SVD++: the implicit term over the rated movies stays fixed, as for trained users
+    const Y = state.Y.dataSync();
+    offset = new Float32Array(k);
+    for (const { i } of ratings) for (let a = 0; a < k; a++) offset[a] += Y[i * k + a] / Math.sqrt(n);
+  }
+  const { p, b } = foldInUser(ratings, state.Q.dataSync(), state.bi.dataSync(), k, STATS.mean, FOLD_IN_LAMBDA, offset);
+  const recs = scoreItemsForUser(p, b, seen, topN, constraints, { u: -1, rawUserId: null, ratings });
+  return { recs, bias: b, implicit: false };
+}
+
+// ---------------- Constraints ----------------
+// The page sends the exclude list as typed; match it the way passesConstraints compares titles
+function normalizeConstraints(c) {
+  return c && { ...c, excludeTitles: c.excludeTitles.map(MovieLens.normalizeTitle).filter(Boolean) };
+}
+
+// Year range, all include-genres, no exclude-genres, title not on the exclude list (whole
+// normalized titles: "Heat" does not exclude "Heathers", "The Godfather" excludes "Godfather, The").
+// Movies without a known year never pass an active year range.
+function passesConstraints(m, c) {
+  if (c.yearFrom != null && !(m.year >= c.yearFrom)) return false;
+  if (c.yearTo != null && !(m.year <= c.yearTo)) return false;
+  if (!c.includeGenres.every(g => m.genres.includes(g))) return false;
+  if (c.excludeGenres.some(g => m.genres.includes(g))) return false;
+  if (c.excludeTitles.length) {
+    if (c.excludeTitles.includes(MovieLens.normalizeTitle(m.title))) return false;
+  }
+  return true;
+}
+
+// ---------------- Utilities ----------------
+function getRawUserIdFromDense(uDense) {
+  if (!getRawUserIdFromDense.cache) {
+    const map = new Map(); for (const [raw, dense] of userIndexByRawId.entries()) map.set(dense, raw);
+    getRawUserIdFromDense.cache = map;
+  }
+  return getRawUserIdFromDense.cache.get(uDense);
+}
+getRawUserIdFromDense.cache = null;
@@ -0,0 +1,63 @@
+// mf-worker.js
+// Dedicated worker that owns the data and the TF.js model: it parses the MovieLens files and
+// serves the MF engine (mf-engine.js — training, evaluation, scoring) to the page, which keeps
+// only the UI (script.js).
+//
+// Protocol (every message is a plain object with a `type`):
+//   page → worker  { type, id, ...args } requests, answered by { type: 'reply', id, result } or
+//                  { type: 'reply', id, error }; see HANDLERS for the request types.
+//                  { type: 'cancel' } stops the running training (no reply; 'train' resolves canceled).
+//   worker → page  { type: 'status', text } · { type: 'progress', percent } · { type: 'split', info }
+//                  { type: 'dataProgress', stage, fraction } (while 'load' parses, see movielens.js)
+//                  { type: 'trainInfo', epoch, epochs, trainRMSE, valRMSE, lr }
+//                  { type: 'history', history, bestEpoch } · { type: 'rank', metrics, K, epoch }
+
+importScripts('worker-scripts.js');
+importScripts(...MF_WORKER_SCRIPTS);
+
+// ---------------- Page Hooks ----------------
+// The engine's progress reports go to the page as messages
+Object.assign(engineHooks, {
+  status: text => postMessage({ type: 'status', text }),
+  progress: percent => postMessage({ type: 'progress', percent }),
+  split: info => postMessage({ type: 'split', info }),
+  trainInfo: (epoch, epochs, trainRMSE, valRMSE, lr) =>
+    postMessage({ type: 'trainInfo', epoch, epochs, trainRMSE, valRMSE, lr }),
+  rank: (metrics, K, epoch) => postMessage({ type: 'rank', metrics, K, epoch }),
+  history: (history, bestEpoch) => postMessage({ type: 'history', history, bestEpoch })
+});
+
+// ---------------- Messages ----------------
+const HANDLERS = {
+  load: ({ files }) => loadAndDescribeData(files),
+  train: ({ params }) => train(params),
+  dispose: () => { disposeModel(); },
+  snapshot: () => snapshotModel(),
+  restore: ({ snap }) => { restoreModel(snap); },
+  recommend: ({ u, topN, constraints }) => recommendForUser(u, topN, normalizeConstraints(constraints)),
+  recommendProfile: ({ ratings, topN, constraints }) =>
+    recommendForProfile(ratings, topN, normalizeConstraints(constraints)),
+  similar: ({ i, topN }) => similarItems(i, topN),
+  analyze: () => analyzeValidationErrors()
+};
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'cancel') { state.stopRequested = true; return; }
+  const handler = HANDLERS[data.type];
+  try {
+    if (!handler) throw new Error(`Unknown request "${data.type}".`);
+    postMessage({ type: 'reply', id: data.id, result: await handler(data) });
+  } catch (err) {
+    console.error(err);
+    postMessage({ type: 'reply', id: data.id, error: err.message || String(err) });
+  }
+};
+
+// ---------------- Load Data ----------------
+// Parse the MovieLens files here (the user's File objects, or the bundled files); the page gets
+// what its controls need
+async function loadAndDescribeData(files) {
+  const format = await loadData(files, (stage, fraction) => postMessage({ type: 'dataProgress', stage, fraction }));
+  attachData();
+  return { format, movies, genres: GENRES, userRawIds: rawIdsByDenseIndex(userIndexByRawId), stats: { ...STATS } };
+}
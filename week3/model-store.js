@@ -0,0 +1,206 @@
+// model-store.js
+// Persistence for trained MF models: IndexedDB slot + JSON file export/import,
+// plus the onboarding visitor's own ratings (localStorage).
+// Knows nothing about TF.js — works on plain snapshot objects built by script.js.
+
+/**
+ * weights.Y (implicit item factors, [I*k]) is present only for SVD++ models. Version 1 files lack
+ * the solver and split fields of hyper; snapshotHyper fills them in.
+ * @typedef {{
+ *   format:string, version:number, savedAt:string,
+ *   hyper:{k:number,lambda:number,lr:number,epochs:number,batchSize:number,model?:'mf'|'svdpp',seed?:number,
+ *          solver?:'sgd'|'als'|'wrmf',alsLambda?:number,implicitAlpha?:number,
+ *          splitStrategy?:string,trainFrac?:number,leaveOutN?:number},
+ *   mean:number,
+ *   metrics:{trainRMSE:number,valRMSE:number},
+ *   userRawIds:number[], itemRawIds:number[],
+ *   weights:{P:Float32Array|number[],Q:Float32Array|number[],bu:Float32Array|number[],bi:Float32Array|number[],
+ *            Y?:Float32Array|number[]}
+ * }} ModelSnapshot
+ */
+
+const MODEL_FORMAT = 'movielens-mf';
+const MODEL_FORMAT_VERSION = 2;
+
+// hyper fields that version 1 files did not store, as every version 1 model was trained
+const MODEL_HYPER_DEFAULTS = {
+  model: 'mf', solver: 'sgd', alsLambda: 0.1, implicitAlpha: 2,
+  splitStrategy: 'random', trainFrac: 0.9, leaveOutN: 1
+};
+
+// Allowed train fractions: the page's #split-frac and the CLI's --train-frac
+const TRAIN_FRAC_RANGE = { min: 0.5, max: 0.99 };
+
+const MODEL_DB_NAME = 'movielens-mf';
+const MODEL_DB_STORE = 'models';
+const MODEL_DB_KEY = 'latest';
+
+// ---------------- Validation ----------------
+
+/**
+ * Check a snapshot's structure and that its raw-ID mappings match the loaded dataset.
+ * Throws an Error describing the first problem found.
+ * @param {ModelSnapshot} snap
+ * @param {Map<number, number>} userIndex rawUserId -> dense u
+ * @param {Map<number, number>} itemIndex rawItemId -> dense i
+ */
+function validateModelSnapshot(snap, userIndex, itemIndex) {
+  if (!snap || snap.format !== MODEL_FORMAT) throw new Error('Not a saved MF model.');
+  if (!(snap.version >= 1 && snap.version <= MODEL_FORMAT_VERSION)) throw new Error(`Unsupported model version ${snap.version}.`);
+
+  const { k } = snap.hyper || {};
+  const U = snap.userRawIds?.length | 0, I = snap.itemRawIds?.length | 0;
+  const w = snap.weights || {};
+  if (!(k > 0) || w.P?.length !== U * k || w.Q?.length !== I * k || w.bu?.length !== U || w.bi?.length !== I) {
+    throw new Error('Saved model weights have inconsistent shapes.');
+  }
+  if (snap.hyper.model === 'svdpp' && w.Y?.length !== I * k) {
+    throw new Error('Saved SVD++ model is missing its Y weights.');
+  }
+  if (!['sgd', 'als', 'wrmf'].includes(snapshotHyper(snap).solver)) {
+    throw new Error(`Saved model has an unknown solver "${snap.hyper.solver}".`);
+  }
+
+  checkIdMapping('user', snap.userRawIds, userIndex);
+  checkIdMapping('item', snap.itemRawIds, itemIndex);
+}
+
+/**
+ * The snapshot's hyperparameters with MODEL_HYPER_DEFAULTS for fields older versions lack.
+ * @param {ModelSnapshot} snap
+ */
+function snapshotHyper(snap) {
+  return { ...MODEL_HYPER_DEFAULTS, ...snap.hyper };
+}
+
+// rawIds[d] must be the raw ID that the current dataset maps to dense index d
+function checkIdMapping(kind, rawIds, index) {
+  if (rawIds.length !== index.size) {
+    throw new Error(`Model has ${rawIds.length} ${kind}s, loaded data has ${index.size}.`);
+  }
+  for (let d = 0; d < rawIds.length; d++) {
+    if (index.get(rawIds[d]) !== d) {
+      throw new Error(`Model ${kind} ID mapping does not match the loaded data (raw ${kind} ${rawIds[d]}).`);
+    }
+  }
+}
+
+/**
+ * Raw IDs ordered by dense index.
+ * @param {Map<number, number>} index rawId -> dense
+ * @returns {number[]}
+ */
+function rawIdsByDenseIndex(index) {
+  const out = new Array(index.size);
+  for (const [raw, dense] of index) out[dense] = raw;
+  return out;
+}
+
+// ---------------- IndexedDB ----------------
+
+function openModelDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available.')); return; }
+    const req = indexedDB.open(MODEL_DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(MODEL_DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** @param {ModelSnapshot} snap */
+async function saveModelToIndexedDB(snap) {
+  const db = await openModelDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(MODEL_DB_STORE, 'readwrite');
+      tx.objectStore(MODEL_DB_STORE).put(snap, MODEL_DB_KEY);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/** @returns {Promise<ModelSnapshot|null>} */
+async function loadModelFromIndexedDB() {
+  const db = await openModelDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const req = db.transaction(MODEL_DB_STORE, 'readonly').objectStore(MODEL_DB_STORE).get(MODEL_DB_KEY);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// ---------------- File export / import ----------------
+
+/**
+ * Download the snapshot as a JSON file (typed arrays become plain arrays).
+ * @param {ModelSnapshot} snap
+ */
+function downloadModelFile(snap) {
+  const plain = {
+    ...snap,
+    weights: Object.fromEntries(Object.entries(snap.weights).map(([name, arr]) => [name, Array.from(arr)]))
+  };
+  const blob = new Blob([JSON.stringify(plain)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `mf-k${snap.hyper.k}-${snap.savedAt.slice(0, 10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Parse an exported model file back into a snapshot with Float32Array weights.
+ * @param {File} file
+ * @returns {Promise<ModelSnapshot>}
+ */
+async function readModelFile(file) {
+  let snap;
+  try {
+    snap = JSON.parse(await file.text());
+  } catch {
+    throw new Error('Model file is not valid JSON.');
+  }
+  if (snap && snap.weights) {
+    for (const name of ['P', 'Q', 'bu', 'bi', 'Y']) {
+      if (Array.isArray(snap.weights[name])) snap.weights[name] = Float32Array.from(snap.weights[name]);
+    }
+  }
+  return snap;
+}
+
+// ---------------- Local profile ----------------
+
+/**
+ * A visitor's onboarding ratings, keyed by raw item ID so they survive retraining.
+ * @typedef {{savedAt:string, ratings:{rawItemId:number, rating:number}[]}} LocalProfile
+ */
+
+const PROFILE_STORAGE_KEY = 'movielens-mf-profile';
+
+/** @param {LocalProfile} profile */
+function saveLocalProfile(profile) {
+  if (typeof localStorage === 'undefined') throw new Error('localStorage is not available.');
+  localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+}
+
+/** @returns {LocalProfile|null} null when nothing (valid) is stored */
+function loadLocalProfile() {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    const profile = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+    return Array.isArray(profile?.ratings) ? profile : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,10 @@
+// rng.js
+// Seeds for this app; the generator itself is ../shared/rng.js (createRng, nextTensorSeed,
+// shuffleInPlace). script.js draws search plans from it, mf-engine.js splits, shuffles and
+// derived integer seeds for tf.randomNormal weight initialization.
+
+// Independent streams derived from one seed: the split stays the same whether it is drawn
+// for a single run, a search or a comparison, however much training consumed before it.
+const MF_RNG_STREAMS = { split: 1, train: 2, search: 3 };
+
+const DEFAULT_SEED = 42;
@@ -1,6 +1,8 @@
 // script.js
 // Matrix Factorization (biased) with TensorFlow.js in the browser.
 // r_hat(u,i) = mu + bu[u] + bi[i] + dot(P[u], Q[i])
+// SVD++ variant: P[u] is replaced by P[u] + |N(u)|^-1/2 · Σ_{j ∈ N(u)} Y[j], N(u) = u's train-split items
+// UI only: data, model, training and scoring live in mf-worker.js (see its message protocol).
 
 // ---------------- App State ----------------
 const state = {
@@ -8,10 +10,6 @@ const state = {
   trained: false,
   stopRequested: false,
 
-  // Data dims
-  U: 0,
-  I: 0,
-
   // Hyperparams (UI-editable)
   k: 16,
   epochs: 15,
@@ -19,17 +17,49 @@ const state = {
   lr: 0.01,
   lambda: 1e-4,
 
-  // Train/val split
-  split: { trainIdx: null, valIdx: null },
+  // Seed (UI-editable) for the split, shuffles, search plans and weight init (rng.js)
+  seed: DEFAULT_SEED,
+
+  // Model (UI-editable): 'mf' = biased MF, 'svdpp' = SVD++ (adds Y, Adam solver only)
+  model: 'mf',
+
+  // Solver (UI-editable): 'sgd' = Adam on mini-batches, 'als' = alternating least squares,
+  // 'wrmf' = implicit-feedback ALS with confidence 1 + alpha·r (als.js)
+  solver: 'sgd',
+  alsLambda: 0.1,
+  implicitAlpha: 2,
+
+  // Ranking evaluation (UI-editable): K, relevance threshold, 'end' | 'epoch' | 'off'
+  evalK: 10,
+  evalThreshold: 4,
+  evalWhen: 'end',
+
+  // Train/val split: 'random' | 'time-global' | 'user-chrono' | 'leave-last-n'
+  splitStrategy: 'random',
+  trainFrac: 0.9,
+  leaveOutN: 1,
+
+  // Early stopping and LR schedule (UI-editable): patience 0 = off;
+  // schedule 'constant' | 'step' | 'cosine' | 'plateau'
+  patience: 3,
+  lrSchedule: 'constant',
+  history: [],   // per epoch: { epoch, trainRMSE, valRMSE, lr, ndcg } (as reported by the worker)
+  bestEpoch: 0,
+
+  // Onboarding visitor: dense item -> rating, and title -> dense item for the picker
+  profile: new Map(),
+  titleIndex: null,
+
+  // Hyperparameter search leaderboard (see hparam-search.js)
+  search: { results: [], sortKey: 'valRMSE', sortDir: 1 },
 
-  // TF Variables
-  P: null,   // [U,k]
-  Q: null,   // [I,k]
-  bu: null,  // [U]
-  bi: null,  // [I]
-  mu: null,  // scalar
+  // mf-worker.js and its pending requests: id -> { resolve, reject }
+  worker: null,
+  pending: new Map(),
+  nextRequestId: 1,
 
-  optimizer: null
+  // Last completed epoch (also restored from saved models)
+  metrics: { trainRMSE: NaN, valRMSE: NaN }
 };
 
 // ---------------- UI Helpers ----------------
@@ -51,22 +81,193 @@ function updateStatsUI() {
 function setRecommendControlsEnabled(on) {
   $('#user-select').disabled = !on;
   $('#btn-recommend').disabled = !on;
+  $('#btn-save-model').disabled = !on;
+  $('#btn-export-model').disabled = !on;
+  $('#btn-similar').disabled = !on;
+  $('#btn-analyze').disabled = !on;
 }
 function setProgress(percent) {
   $('#train-progress .bar').style.width = `${Math.max(0, Math.min(100, percent))}%`;
 }
-function setTrainInfo(epoch, epochs, trainRMSE, valRMSE) {
+function setRankMetrics(m, K, epoch = null) {
+  const el = $('#rank-metrics');
+  if (!m) { el.textContent = 'ranking: –'; return; }
+  const f = x => x.toFixed(3);
+  const at = epoch != null ? ` (epoch ${epoch})` : '';
+  el.textContent =
+    `P@${K} ${f(m.precision)} · R@${K} ${f(m.recall)} · NDCG@${K} ${f(m.ndcg)} · ` +
+    `MAP@${K} ${f(m.map)} · HR@${K} ${f(m.hitRate)} · coverage ${(m.coverage * 100).toFixed(1)}% ` +
+    `· ${m.users} users${at}`;
+}
+const fmtMetric = x => (Number.isFinite(x) ? x.toFixed(4) : '–');
+function setTrainInfo(epoch, epochs, trainRMSE, valRMSE, lr = NaN) {
   $('#train-epoch').textContent = `epoch ${epoch}/${epochs}`;
-  $('#train-trainrmse').textContent = `train RMSE: ${Number.isFinite(trainRMSE) ? trainRMSE.toFixed(4) : '–'}`;
-  $('#train-valrmse').textContent = `val RMSE: ${Number.isFinite(valRMSE) ? valRMSE.toFixed(4) : '–'}`;
+  $('#train-trainrmse').textContent = `train RMSE: ${fmtMetric(trainRMSE)}`;
+  $('#train-valrmse').textContent = `val RMSE: ${fmtMetric(valRMSE)}`;
+  $('#train-lr').textContent = `lr: ${Number.isFinite(lr) ? lr.toPrecision(3) : '–'}`;
+}
+function renderHistory(history, bestEpoch) {
+  const tbody = $('#history-table tbody');
+  tbody.innerHTML = '';
+  for (const h of history) {
+    const tr = document.createElement('tr');
+    if (h.epoch === bestEpoch) tr.className = 'best';
+    tr.innerHTML = `
+      <td>${h.epoch}${h.epoch === bestEpoch ? ' ★' : ''}</td>
+      <td>${fmtMetric(h.trainRMSE)}</td>
+      <td>${fmtMetric(h.valRMSE)}</td>
+      <td>${fmtMetric(h.ndcg)}</td>
+      <td>${Number.isFinite(h.lr) ? h.lr.toPrecision(3) : '–'}</td>`;
+    tbody.appendChild(tr);
+  }
+}
+
+// ---------------- Worker ----------------
+// Requests resolve with the worker's reply; progress / metrics events drive the UI helpers above
+function callWorker(type, args = {}) {
+  if (!state.worker) {
+    try {
+      state.worker = new Worker('mf-worker.js');
+    } catch (err) {
+      // Chrome refuses workers on file:// pages: run the same worker code on this thread instead
+      console.warn(`Web Worker unavailable (${err.message}); the model runs on the page thread.`);
+      state.worker = createPageWorker('mf-worker.js');
+    }
+    state.worker.onmessage = ev => onWorkerMessage(ev.data);
+    state.worker.onerror = ev => {
+      const err = new Error(ev.message || 'Worker failed to start.');
+      for (const { reject } of state.pending.values()) reject(err);
+      state.pending.clear();
+    };
+  }
+  const id = state.nextRequestId++;
+  return new Promise((resolve, reject) => {
+    state.pending.set(id, { resolve, reject });
+    state.worker.postMessage({ type, id, ...args });
+  });
+}
+
+// Stand-in for a dedicated worker: MF_WORKER_SCRIPTS and the worker script run in a hidden
+// frame (they would clash with this page's globals, e.g. `state`) and its HANDLERS answer the
+// same messages, cloned both ways as postMessage does. The page stalls while a batch computes;
+// Cancel still gets through between batches.
+function createPageWorker(url) {
+  const stub = { onmessage: null, onerror: null, terminate() {} };
+  const scope = loadWorkerInFrame(url, data => {
+    const copy = structuredClone(data);
+    setTimeout(() => stub.onmessage?.({ data: copy }), 0);
+  });
+  scope.catch(err => stub.onerror?.({ message: `Could not start the model: ${err.message}` }));
+  stub.postMessage = data => {
+    const copy = structuredClone(data);
+    scope.then(win => win.onmessage({ data: copy }), () => {});
+  };
+  return stub;
+}
+
+async function loadWorkerInFrame(url, post) {
+  const win = openScriptFrame();
+  win.postMessage = post;
+  win.importScripts = () => {}; // the frame already has everything, loaded below in order
+  for (const src of ['worker-scripts.js', ...MF_WORKER_SCRIPTS, url]) {
+    await loadFrameScript(win, new URL(src, location.href).href);
+  }
+  return win;
+}
+
+function openScriptFrame() {
+  const frame = document.createElement('iframe');
+  frame.hidden = true;
+  document.body.appendChild(frame);
+  return frame.contentWindow;
+}
+
+function loadFrameScript(win, src) {
+  return new Promise((resolve, reject) => {
+    const el = win.document.createElement('script');
+    el.onload = () => resolve();
+    el.onerror = () => reject(new Error(`${src} failed to load.`));
+    el.src = src;
+    win.document.head.appendChild(el);
+  });
+}
+
+function onWorkerMessage(msg) {
+  switch (msg.type) {
+    case 'reply': {
+      const req = state.pending.get(msg.id);
+      state.pending.delete(msg.id);
+      if (msg.error != null) req?.reject(new Error(msg.error));
+      else req?.resolve(msg.result);
+      break;
+    }
+    case 'status': setStatus(msg.text); break;
+    case 'progress': setProgress(msg.percent); break;
+    case 'split': $('#split-info').textContent = msg.info; break;
+    case 'dataProgress': state.picker.progress(msg.stage, msg.fraction); break;
+    case 'trainInfo': setTrainInfo(msg.epoch, msg.epochs, msg.trainRMSE, msg.valRMSE, msg.lr); break;
+    case 'rank': setRankMetrics(msg.metrics, msg.K, msg.epoch); break;
+    case 'history':
+      state.history = msg.history; state.bestEpoch = msg.bestEpoch;
+      renderHistory(msg.history, msg.bestEpoch);
+      break;
+  }
+}
+
+// Hyperparameters a 'train' request carries
+function trainParams() {
+  const keys = ['k', 'epochs', 'batchSize', 'lr', 'lambda', 'seed', 'model', 'solver', 'alsLambda', 'implicitAlpha',
+    'evalK', 'evalThreshold', 'evalWhen', 'splitStrategy', 'trainFrac', 'leaveOutN', 'patience', 'lrSchedule'];
+  return Object.fromEntries(keys.map(key => [key, state[key]]));
+}
+
+// One training run in the worker; keeps state.metrics / history / bestEpoch in sync.
+// Resolves to the worker's { canceled, metrics, history, bestEpoch, rank }.
+async function runTraining() {
+  const run = await callWorker('train', { params: trainParams() });
+  state.metrics = run.metrics;
+  state.history = run.history;
+  state.bestEpoch = run.bestEpoch;
+  return run;
+}
+
+// Drop the worker's model (search / comparison leftovers)
+async function discardModel() {
+  await callWorker('dispose');
+  state.trained = false;
 }
 
 // ---------------- Initialization ----------------
 window.addEventListener('load', () => {
+  state.picker = createDatasetPicker($('#dataset-picker'), {
+    buttonClass: 'btn',
+    onChange: files => setStatus(files ? 'Files chosen — click "Load data".' : 'Bundled files chosen — click "Load data".')
+  });
   $('#btn-load').addEventListener('click', onLoadData);
   $('#btn-train').addEventListener('click', onTrain);
   $('#btn-cancel').addEventListener('click', onCancel);
   $('#btn-recommend').addEventListener('click', onRecommend);
+  $('#btn-save-model').addEventListener('click', onSaveModel);
+  $('#btn-load-model').addEventListener('click', onLoadSavedModel);
+  $('#btn-export-model').addEventListener('click', onExportModel);
+  $('#btn-import-model').addEventListener('click', () => $('#import-model-file').click());
+  $('#import-model-file').addEventListener('change', onImportModel);
+  $('#btn-compare').addEventListener('click', onCompareModels);
+  $('#btn-similar').addEventListener('click', onSimilar);
+  $('#similar-movie').addEventListener('keydown', e => { if (e.key === 'Enter') onSimilar(); });
+  $('#btn-analyze').addEventListener('click', onAnalyzeErrors);
+  $('#btn-onboard-add').addEventListener('click', onProfileAdd);
+  $('#onboard-movie').addEventListener('keydown', e => { if (e.key === 'Enter') onProfileAdd(); });
+  $('#btn-onboard-recommend').addEventListener('click', onProfileRecommend);
+  $('#btn-profile-save').addEventListener('click', onProfileSave);
+  $('#btn-profile-load').addEventListener('click', onProfileLoad);
+  $('#btn-profile-clear').addEventListener('click', onProfileClear);
+  $('#btn-search').addEventListener('click', onRunSearch);
+  $('#btn-search-adopt').addEventListener('click', onAdoptBestConfig);
+  $('#search-mode').addEventListener('change', () => { $('#search-trials').disabled = $('#search-mode').value !== 'random'; });
+  for (const th of document.querySelectorAll('#search-table th[data-sort]')) {
+    th.addEventListener('click', () => onSortSearch(th.dataset.sort));
+  }
 
   // defaults -> UI
   $('#param-k').value = state.k;
@@ -74,20 +275,39 @@ window.addEventListener('load', () => {
   $('#param-batch').value = state.batchSize;
   $('#param-lr').value = state.lr;
   $('#param-lambda').value = state.lambda;
+  $('#param-model').value = state.model;
+  $('#param-solver').value = state.solver;
+  $('#param-als-lambda').value = state.alsLambda;
+  $('#param-alpha').value = state.implicitAlpha;
+  $('#eval-k').value = state.evalK;
+  $('#eval-threshold').value = state.evalThreshold;
+  $('#eval-when').value = state.evalWhen;
+  $('#split-strategy').value = state.splitStrategy;
+  Object.assign($('#split-frac'), TRAIN_FRAC_RANGE, { value: state.trainFrac });
+  $('#split-leave-n').value = state.leaveOutN;
+  $('#param-patience').value = state.patience;
+  $('#lr-schedule').value = state.lrSchedule;
+  $('#param-seed').value = state.seed;
 
-  setStatus('Waiting to load MovieLens files (u.item, u.data)...');
+  setStatus('Waiting to load MovieLens files (u.item + u.data, movies.dat + ratings.dat or movies.csv + ratings.csv)...');
 });
 
 // ---------------- Load Data ----------------
 async function onLoadData() {
   try {
-    setStatus('Loading files (u.item, u.data)...');
-    await loadData();
+    setStatus('Loading MovieLens files...');
+    // parsed in the worker (File objects clone into it); keep the page's copies of data.js globals for the controls
+    await state.picker.ready;
+    const data = await callWorker('load', { files: state.picker.files() });
+    movies = data.movies;
+    movieIndexByRawId = new Map(movies.map(m => [m.rawId, m.index]));
+    userIndexByRawId = new Map(data.userRawIds.map((raw, u) => [raw, u]));
+    Object.assign(STATS, data.stats);
+    GENRES = data.genres;
     state.loaded = true;
-    state.U = userIndexByRawId.size;
-    state.I = movieIndexByRawId.size;
+    state.trained = false;
     updateStatsUI();
-    setStatus('Data loaded. Configure MF and train.', true);
+    setStatus(`Data loaded (${data.format}). Configure MF and train.`, true);
 
     // fill user-select with raw IDs
     const sel = $('#user-select');
@@ -98,49 +318,65 @@ async function onLoadData() {
       opt.textContent = String(rawId);
       sel.appendChild(opt);
     }
+    fillGenreConstraintSelects();
+    fillOnboardingRatings();
+    fillOnboardingTitles();
+    $('#onboard-movie').disabled = false;
+    $('#similar-movie').disabled = false;
+    $('#btn-profile-load').disabled = false;
+    renderProfile();
     $('#btn-train').disabled = false;
+    $('#btn-search').disabled = false;
+    $('#btn-compare').disabled = false;
+    $('#btn-load-model').disabled = false;
+    $('#btn-import-model').disabled = false;
   } catch (err) {
     console.error(err);
     setStatus(`Error while loading data: ${err.message}`, false);
+  } finally {
+    state.picker.done();
   }
 }
 
 // ---------------- Train ----------------
 async function onTrain() {
   if (!state.loaded) { setStatus('Load data first.', false); return; }
-  if (typeof tf === 'undefined') { setStatus('TensorFlow.js not loaded.', false); return; }
-
-  await tf.ready();
-  console.log('TF backend:', tf.getBackend());
   setStatus('Starting training…');
 
-  // read hyperparams (comma tolerant)
-  state.k       = clampInt  ($('#param-k').value,       2, 128, 16);
-  state.epochs  = clampInt  ($('#param-epochs').value,  1, 100, 15);
-  state.batchSize = clampInt($('#param-batch').value,  64, 4096, 2048);
-  state.lr      = clampFloat($('#param-lr').value,      1e-5, 0.5, 0.01);
-  state.lambda  = clampFloat($('#param-lambda').value,  0, 0.1, 1e-4);
-
-  disposeModel();
-  buildModel();
-  makeTrainValSplit(0.9);
-  if (!state.split.trainIdx?.length || !state.split.valIdx?.length) {
-    setStatus('Train/val split is empty — check parsed ratings.', false);
-    $('#btn-train').disabled = false; $('#btn-cancel').disabled = true; return;
+  readTrainParams();
+  if (state.model === 'svdpp' && state.solver !== 'sgd') {
+    setStatus('SVD++ trains with the Adam solver only.', false);
+    return;
   }
 
   state.stopRequested = false;
+  state.trained = false;
   $('#btn-cancel').disabled = false;
   $('#btn-train').disabled = true;
+  $('#btn-search').disabled = true;
+  $('#btn-compare').disabled = true;
+  $('#btn-search-adopt').disabled = true;
   setRecommendControlsEnabled(false);
   setProgress(0);
   setTrainInfo(0, state.epochs, NaN, NaN);
+  setRankMetrics(null);
 
   try {
-    await trainLoop();
-    if (!state.stopRequested) {
+    const run = await runTraining();
+    $('#btn-search').disabled = false;
+    $('#btn-compare').disabled = false;
+    $('#btn-search-adopt').disabled = !state.search.results.length;
+    if (!run.canceled) {
+      if (run.rank) setRankMetrics(run.rank, state.evalK);
       state.trained = true;
-      setStatus('Training complete. You can now get recommendations.', true);
+      const last = state.history[state.history.length - 1];
+      const stopped = last && last.epoch < state.epochs ? `stopped early at epoch ${last.epoch}, ` : '';
+      const bestRow = state.history.find(h => h.epoch === state.bestEpoch);
+      const score = state.solver === 'wrmf'
+        ? `val NDCG@${state.evalK} ${fmtMetric(bestRow?.ndcg)}`
+        : `val RMSE ${fmtMetric(state.metrics.valRMSE)}`;
+      const best = state.bestEpoch ? ` (${stopped}kept best epoch ${state.bestEpoch}, ${score}, seed ${state.seed})` : '';
+      setStatus(`Training complete${best}. You can now get recommendations.`, true);
       setRecommendControlsEnabled(true);
       $('#btn-cancel').disabled = true;
     } else {
@@ -152,149 +388,324 @@ async function onTrain() {
     console.error(err);
     setStatus(`Training error: ${err.message}`, false);
     $('#btn-train').disabled = false;
+    $('#btn-search').disabled = false;
+    $('#btn-compare').disabled = false;
     $('#btn-cancel').disabled = true;
   }
 }
 
-function onCancel() { state.stopRequested = true; }
+function onCancel() {
+  state.stopRequested = true;
+  state.worker?.postMessage({ type: 'cancel' });
+}
 
-// Build TF variables & optimizer
-function buildModel() {
-  state.P  = tf.variable(tf.randomNormal([state.U, state.k], 0, 0.01, 'float32'), true, 'P');
-  state.Q  = tf.variable(tf.randomNormal([state.I, state.k], 0, 0.01, 'float32'), true, 'Q');
-  state.bu = tf.variable(tf.zeros([state.U], 'float32'), true, 'bu');
-  state.bi = tf.variable(tf.zeros([state.I], 'float32'), true, 'bi');
-  state.mu = tf.scalar(STATS.mean, 'float32');
-  state.optimizer = tf.train.adam(state.lr);
+// read hyperparams (comma tolerant)
+function readTrainParams() {
+  state.k       = clampInt  ($('#param-k').value,       2, 128, 16);
+  state.epochs  = clampInt  ($('#param-epochs').value,  1, 100, 15);
+  state.batchSize = clampInt($('#param-batch').value,  64, 4096, 2048);
+  state.lr      = clampFloat($('#param-lr').value,      1e-5, 0.5, 0.01);
+  state.lambda  = clampFloat($('#param-lambda').value,  0, 0.1, 1e-4);
+  state.model     = $('#param-model').value;
+  state.solver    = $('#param-solver').value;
+  state.alsLambda = clampFloat($('#param-als-lambda').value, 1e-4, 10, 0.1);
+  state.implicitAlpha = clampFloat($('#param-alpha').value, 0, 100, 2);
+  state.evalK         = clampInt  ($('#eval-k').value,         1, 100, 10);
+  state.evalThreshold = clampFloat($('#eval-threshold').value, STATS.scale.min, STATS.scale.max, 4);
+  state.evalWhen      = $('#eval-when').value;
+  state.splitStrategy = $('#split-strategy').value;
+  state.trainFrac     = clampFloat($('#split-frac').value,   TRAIN_FRAC_RANGE.min, TRAIN_FRAC_RANGE.max, 0.9);
+  state.leaveOutN     = clampInt  ($('#split-leave-n').value, 1, 50, 1);
+  state.patience      = clampInt  ($('#param-patience').value, 0, 100, 3);
+  state.lrSchedule    = $('#lr-schedule').value;
+  state.seed          = clampInt  ($('#param-seed').value, 0, 2147483647, DEFAULT_SEED);
 }
 
-// Dispose everything
-function disposeModel() {
+// ---------------- Hyperparameter Search ----------------
+// Every configuration trains from scratch on the same split with the current
+// epochs / patience / lr schedule; the leaderboard keeps each run's best-epoch val RMSE.
+async function onRunSearch() {
+  if (!state.loaded) { setStatus('Load data first.', false); return; }
+
+  readTrainParams();
+  let configs;
+  try {
+    const specs = {
+      k:         parseSearchSpec($('#search-k').value, 'k'),
+      lr:        parseSearchSpec($('#search-lr').value, 'lr'),
+      lambda:    parseSearchSpec($('#search-lambda').value, 'lambda'),
+      batchSize: parseSearchSpec($('#search-batch').value, 'batchSize')
+    };
+    configs = $('#search-mode').value === 'random'
+      ? sampleSearchConfigs(specs, clampInt($('#search-trials').value, 1, SEARCH_MAX_TRIALS, 10),
+        createRng(state.seed, MF_RNG_STREAMS.search))
+      : expandSearchGrid(specs);
+  } catch (err) {
+    setStatus(err.message, false);
+    return;
+  }
+
+  if (state.solver === 'wrmf') {
+    setStatus('Search ranks configurations by val RMSE — pick the Adam or ALS solver.', false);
+    return;
+  }
+  if (state.model === 'svdpp' && state.solver !== 'sgd') {
+    setStatus('SVD++ trains with the Adam solver only.', false);
+    return;
+  }
+  const evalWhen = state.evalWhen;
+  state.evalWhen = 'off';     // RMSE only while searching
+
+  state.stopRequested = false;
+  state.search.results = [];
+  renderSearchResults();
+  setSearchRunning(true);
+  setRecommendControlsEnabled(false);
+  setRankMetrics(null);
+
   try {
-    state.P?.dispose(); state.Q?.dispose();
-    state.bu?.dispose(); state.bi?.dispose();
-    state.mu?.dispose();
-    if (state.optimizer?.dispose) state.optimizer.dispose();
-  } catch {}
-  state.P = state.Q = state.bu = state.bi = state.mu = null;
-  state.optimizer = null; state.trained = false;
-}
-
-// Split 90/10
-function makeTrainValSplit(trainFrac = 0.9) {
-  const n = ratingsTriples.length;
-  const idx = new Int32Array(n);
-  for (let t = 0; t < n; t++) idx[t] = t;
-  for (let i = n - 1; i > 0; i--) { const j = (Math.random() * (i + 1)) | 0; [idx[i], idx[j]] = [idx[j], idx[i]]; }
-  const nTrain = Math.floor(n * trainFrac);
-  state.split.trainIdx = idx.slice(0, nTrain);
-  state.split.valIdx   = idx.slice(nTrain);
-}
-
-// Train loop
-async function trainLoop() {
-  const nTrain = state.split.trainIdx.length;
-  const stepsPerEpoch = Math.ceil(nTrain / state.batchSize);
-
-  for (let epoch = 1; epoch <= state.epochs; epoch++) {
-    if (state.stopRequested) break;
-    shuffleInt32(state.split.trainIdx);
-
-    let mseSum = 0, count = 0;
-
-    for (let step = 0; step < stepsPerEpoch; step++) {
-      if (state.stopRequested) break;
-      const start = step * state.batchSize;
-      const end   = Math.min(nTrain, start + state.batchSize);
-      const { uBatch, iBatch, rBatch } = buildBatch(state.split.trainIdx, start, end);
-
-      const batchMSE = state.optimizer.minimize(() => tf.tidy(() => {
-        const pred = predictBatch(uBatch, iBatch);    // [B]
-        const err  = tf.sub(pred, rBatch);            // [B]
-        const mse  = tf.mean(tf.mul(err, err));       // scalar
-
-        // L2 on gathered rows (scalars -> addN OK)
-        const Pu = tf.gather(state.P, uBatch);
-        const Qi = tf.gather(state.Q, iBatch);
-        const bu = tf.gather(state.bu, uBatch);
-        const bi = tf.gather(state.bi, iBatch);
-        const reg = tf.mul(state.lambda, tf.addN([
-          tf.sum(tf.mul(Pu, Pu)),
-          tf.sum(tf.mul(Qi, Qi)),
-          tf.sum(tf.mul(bu, bu)),
-          tf.sum(tf.mul(bi, bi))
-        ]));
-        return tf.add(mse, reg);
-      }), true);
-
-      const mseVal = (await batchMSE.data())[0];
-      batchMSE.dispose();
-      mseSum += mseVal * (end - start);
-      count  += (end - start);
-
-      const progress = ((epoch - 1) / state.epochs + (step + 1) / state.epochs / stepsPerEpoch) * 100;
-      setProgress(progress);
-      if ((step & 1) === 1) await tf.nextFrame();
-
-      uBatch.dispose(); iBatch.dispose(); rBatch.dispose();
+    for (let t = 0; t < configs.length && !state.stopRequested; t++) {
+      const config = configs[t];
+      Object.assign(state, config);
+      setStatus(`Search ${t + 1}/${configs.length}: ${describeConfig(config)}`);
+      setProgress(0);
+
+      const t0 = performance.now();
+      const run = await runTraining();
+      if (run.canceled) break;
+
+      state.search.results.push({
+        id: t + 1,
+        config,
+        valRMSE: state.metrics.valRMSE,
+        trainRMSE: state.metrics.trainRMSE,
+        bestEpoch: state.bestEpoch,
+        seconds: (performance.now() - t0) / 1000,
+        seed: state.seed
+      });
+      renderSearchResults();
     }
 
-    const trainRMSE = Math.sqrt(mseSum / Math.max(1, count));
-    const valRMSE   = await computeSplitRMSE(state.split.valIdx, 4096);
-    setTrainInfo(epoch, state.epochs, trainRMSE, valRMSE);
+    const best = bestSearchResult(state.search.results);
+    const done = `${state.search.results.length}/${configs.length} configurations`;
+    if (state.stopRequested) {
+      setStatus(`Search canceled after ${done}.`, false);
+    } else {
+      setStatus(`Search finished: ${done}, seed ${state.seed}. Best val RMSE ${best.valRMSE.toFixed(4)} (${describeConfig(best.config)}).`, true);
+    }
+  } catch (err) {
+    console.error(err);
+    setStatus(`Search error: ${err.message}`, false);
+  } finally {
+    // the weights left over belong to the last trial, not to a chosen model
+    state.evalWhen = evalWhen;
+    await discardModel().catch(err => console.error(err));
+    setSearchRunning(false);
   }
 }
 
-// Build batch tensors
-function buildBatch(splitIdx, start, end) {
-  const B = end - start;
-  const uArr = new Int32Array(B);
-  const iArr = new Int32Array(B);
-  const rArr = new Float32Array(B);
-  for (let b = 0; b < B; b++) {
-    const tri = ratingsTriples[splitIdx[start + b]];
-    uArr[b] = tri.u; iArr[b] = tri.i; rArr[b] = tri.r;
+function setSearchRunning(on) {
+  $('#btn-search').disabled = on;
+  $('#btn-compare').disabled = on;
+  $('#btn-train').disabled = on;
+  $('#btn-cancel').disabled = !on;
+  $('#btn-search-adopt').disabled = on || !state.search.results.length;
+}
+
+// Copy the best configuration into the training inputs and train it
+async function onAdoptBestConfig() {
+  const best = bestSearchResult(state.search.results);
+  if (!best) return;
+  const c = best.config;
+  $('#param-k').value = c.k;
+  $('#param-lr').value = formatParam(c.lr);
+  $('#param-lambda').value = formatParam(c.lambda);
+  $('#param-batch').value = c.batchSize;
+  await onTrain();
+}
+
+function onSortSearch(key) {
+  const s = state.search;
+  s.sortDir = s.sortKey === key ? -s.sortDir : 1;
+  s.sortKey = key;
+  renderSearchResults();
+}
+
+function renderSearchResults() {
+  const { results, sortKey, sortDir } = state.search;
+  const best = bestSearchResult(results);
+  const tbody = $('#search-table tbody');
+  tbody.innerHTML = '';
+  for (const r of sortSearchResults(results, sortKey, sortDir)) {
+    const tr = document.createElement('tr');
+    if (r === best) tr.className = 'best';
+    tr.innerHTML = `
+      <td>${r.id}${r === best ? ' ★' : ''}</td>
+      <td>${r.config.k}</td>
+      <td>${formatParam(r.config.lr)}</td>
+      <td>${formatParam(r.config.lambda)}</td>
+      <td>${r.config.batchSize}</td>
+      <td>${r.valRMSE.toFixed(4)}</td>
+      <td>${r.trainRMSE.toFixed(4)}</td>
+      <td>${r.bestEpoch}</td>
+      <td>${r.seconds.toFixed(1)}</td>`;
+    tbody.appendChild(tr);
+  }
+  for (const th of document.querySelectorAll('#search-table th[data-sort]')) {
+    th.classList.toggle('sorted-asc', th.dataset.sort === sortKey && sortDir === 1);
+    th.classList.toggle('sorted-desc', th.dataset.sort === sortKey && sortDir === -1);
   }
-  return {
-    uBatch: tf.tensor1d(uArr, 'int32'),
-    iBatch: tf.tensor1d(iArr, 'int32'),
-    rBatch: tf.tensor1d(rArr, 'float32')
-  };
 }
 
-// Predict for pairs (uBatch[i], iBatch[i]) → [B]
-function predictBatch(uBatch, iBatch) {
-  return tf.tidy(() => {
-    const Pu = tf.gather(state.P, uBatch);   // [B,k]
-    const Qi = tf.gather(state.Q, iBatch);   // [B,k]
-    const bu = tf.gather(state.bu, uBatch);  // [B]
-    const bi = tf.gather(state.bi, iBatch);  // [B]
-    const dot = tf.sum(tf.mul(Pu, Qi), 1);   // [B]
-    let base = tf.add(dot, bu);              // [B]
-    base = tf.add(base, bi);                 // [B]
-    return tf.add(base, state.mu);           // [B]
-  });
+// ---------------- MF vs SVD++ ----------------
+// Trains biased MF, then SVD++, with Adam on one shared split and the current
+// hyperparameters, and reports both best-epoch val RMSEs.
+async function onCompareModels() {
+  if (!state.loaded) { setStatus('Load data first.', false); return; }
+
+  readTrainParams();
+  const { model, solver, evalWhen } = state;
+  state.solver = 'sgd';
+  state.evalWhen = 'off';
+
+  state.stopRequested = false;
+  setSearchRunning(true);
+  setRecommendControlsEnabled(false);
+  setRankMetrics(null);
+  const rows = [];
+  renderModelComparison(rows);
+
+  try {
+    for (const [variant, label] of [['mf', 'biased MF'], ['svdpp', 'SVD++']]) {
+      state.model = variant;
+      setStatus(`Comparing models: training ${label}…`);
+      setProgress(0);
+
+      const t0 = performance.now();
+      const run = await runTraining();
+      if (run.canceled) break;
+      rows.push({
+        label, valRMSE: state.metrics.valRMSE, bestEpoch: state.bestEpoch,
+        seconds: (performance.now() - t0) / 1000, seed: state.seed
+      });
+      renderModelComparison(rows);
+    }
+    if (state.stopRequested) setStatus('Model comparison canceled.', false);
+    else setStatus('Model comparison finished. Pick a model and train it to get recommendations.', true);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Comparison error: ${err.message}`, false);
+  } finally {
+    Object.assign(state, { model, solver, evalWhen });
+    await discardModel().catch(err => console.error(err));
+    setSearchRunning(false);
+  }
+}
+
+function renderModelComparison(rows) {
+  const el = $('#model-compare');
+  if (!rows.length) { el.textContent = 'MF vs SVD++: –'; return; }
+  const parts = rows.map(r => `${r.label} ${fmtMetric(r.valRMSE)} (epoch ${r.bestEpoch}, ${r.seconds.toFixed(1)} s)`);
+  if (rows.length === 2) {
+    const delta = rows[1].valRMSE - rows[0].valRMSE;
+    parts.push(`Δ ${delta >= 0 ? '+' : '−'}${Math.abs(delta).toFixed(4)}`);
+  }
+  el.textContent = `val RMSE (seed ${rows[0].seed}) — ${parts.join(' · ')}`;
+}
+
+// ---------------- Save / Load ----------------
+// Snapshot format and storage live in model-store.js; the worker builds and restores snapshots
+
+// Restore a snapshot in the worker (which validates it), then mirror its settings in the UI
+async function restoreModel(snap) {
+  await callWorker('restore', { snap });
+  const { k, lambda, lr, epochs, batchSize, model, seed = state.seed, solver, alsLambda, implicitAlpha,
+    splitStrategy, trainFrac, leaveOutN } = snapshotHyper(snap);
+  Object.assign(state, { k, lambda, lr, epochs, batchSize: batchSize || state.batchSize, model, seed,
+    solver, alsLambda, implicitAlpha, splitStrategy, trainFrac, leaveOutN });
+  state.metrics = { trainRMSE: snap.metrics?.trainRMSE ?? NaN, valRMSE: snap.metrics?.valRMSE ?? NaN };
+  state.history = []; state.bestEpoch = 0;
+  state.trained = true;
+
+  $('#param-k').value = state.k;
+  $('#param-epochs').value = state.epochs;
+  $('#param-batch').value = state.batchSize;
+  $('#param-lr').value = state.lr;
+  $('#param-lambda').value = state.lambda;
+  $('#param-model').value = state.model;
+  $('#param-solver').value = state.solver;
+  $('#param-als-lambda').value = state.alsLambda;
+  $('#param-alpha').value = state.implicitAlpha;
+  $('#split-strategy').value = state.splitStrategy;
+  $('#split-frac').value = state.trainFrac;
+  $('#split-leave-n').value = state.leaveOutN;
+  $('#param-seed').value = state.seed;
+  setProgress(100);
+  setTrainInfo(state.epochs, state.epochs, state.metrics.trainRMSE, state.metrics.valRMSE);
+  renderHistory(state.history, 0);
+  setRecommendControlsEnabled(true);
+}
+
+function describeSnapshot(snap) {
+  const val = Number.isFinite(snap.metrics?.valRMSE) ? snap.metrics.valRMSE.toFixed(4) : '–';
+  const model = (snap.hyper.model === 'svdpp' ? 'SVD++' : 'MF') + (snap.hyper.solver === 'wrmf' ? ' (WRMF)' : '');
+  const seed = snap.hyper.seed != null ? `, seed ${snap.hyper.seed}` : '';
+  return `${model} k=${snap.hyper.k}${seed}, val RMSE ${val}, saved ${snap.savedAt.slice(0, 16).replace('T', ' ')}`;
+}
+
+async function onSaveModel() {
+  if (!state.trained) { setStatus('Train the model first.', false); return; }
+  try {
+    const snap = await callWorker('snapshot');
+    await saveModelToIndexedDB(snap);
+    setStatus(`Model saved in this browser (${describeSnapshot(snap)}).`, true);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not save model: ${err.message}`, false);
+  }
+}
+
+async function onLoadSavedModel() {
+  if (!state.loaded) { setStatus('Load data first.', false); return; }
+  try {
+    const snap = await loadModelFromIndexedDB();
+    if (!snap) { setStatus('No saved model in this browser yet.', false); return; }
+    await restoreModel(snap);
+    setStatus(`Saved model loaded (${describeSnapshot(snap)}).`, true);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not load saved model: ${err.message}`, false);
+  }
+}
+
+async function onExportModel() {
+  if (!state.trained) { setStatus('Train the model first.', false); return; }
+  try {
+    downloadModelFile(await callWorker('snapshot'));
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not export model: ${err.message}`, false);
+  }
 }
 
-// RMSE over split (chunked)
-async function computeSplitRMSE(splitIdx, chunk = 8192) {
-  if (!splitIdx || splitIdx.length === 0) return NaN;
-  let sse = 0, n = 0;
-  for (let off = 0; off < splitIdx.length; off += chunk) {
-    const end = Math.min(splitIdx.length, off + chunk);
-    const { uBatch, iBatch, rBatch } = buildBatch(splitIdx, off, end);
-    const pred = predictBatch(uBatch, iBatch);
-    const err  = tf.sub(pred, rBatch);
-    const se   = await tf.sum(tf.mul(err, err)).data();
-    sse += se[0]; n += (end - off);
-    uBatch.dispose(); iBatch.dispose(); rBatch.dispose(); pred.dispose(); err.dispose();
-    await tf.nextFrame();
+async function onImportModel(ev) {
+  const file = ev.target.files?.[0];
+  ev.target.value = '';
+  if (!file) return;
+  if (!state.loaded) { setStatus('Load data first.', false); return; }
+  try {
+    const snap = await readModelFile(file);
+    await restoreModel(snap);
+    setStatus(`Model imported from ${file.name} (${describeSnapshot(snap)}).`, true);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not import model: ${err.message}`, false);
   }
-  return Math.sqrt(sse / Math.max(1, n));
 }
 
 // ---------------- Recommend ----------------
-function onRecommend() {
+// Scoring and "because you rated" explanations run in the worker (recommendForUser)
+async function onRecommend() {
   if (!state.trained) { setStatus('Train the model first.', false); return; }
   const rawIdStr = $('#user-select').value;
   if (!rawIdStr)    { setStatus('Select a user first.', false); return; }
@@ -302,77 +713,334 @@ function onRecommend() {
   const u = userIndexByRawId.get(rawU);
   if (u === undefined) { setStatus('Invalid user.', false); return; }
   const topN = clampInt($('#topn').value, 1, 50, 10);
-  const recs = recommendForUser(u, topN);
-  renderRecommendations(recs);
-}
-
-// Predict all items for user u, vectorized. No addN with mixed shapes.
-function recommendForUser(u, topN = 10) {
-  const seen = userRatedItems.get(u) || new Set();
-
-  // Vectorized compute for all items with correct broadcasting
-  const out = tf.tidy(() => {
-    const pu = tf.gather(state.P, tf.tensor1d([u], 'int32')).reshape([state.k]); // [k]
-    const dotVec = tf.matMul(state.Q, pu.reshape([state.k, 1])).reshape([state.I]); // [I]
-    let base = tf.add(dotVec, state.bi);                                // [I] + [I] -> [I]
-    base = tf.add(base, state.bu.gather(tf.tensor1d([u], 'int32')).reshape([])); // [I] + [] -> [I]
-    base = tf.add(base, state.mu);                                      // [I] + [] -> [I]
-    const pred = tf.clipByValue(base, 1, 5);                            // [I]
-    return { pred, dot: dotVec };
+  try {
+    renderRecommendations(await callWorker('recommend', { u, topN, constraints: readConstraints() }));
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not recommend: ${err.message}`, false);
+  }
+}
+
+// ---------------- Similar Movies ----------------
+// Items closest to the picked one by cosine similarity of their Q rows (worker similarItems)
+async function onSimilar() {
+  if (!state.trained) { setStatus('Train or load a model first.', false); return; }
+  const title = $('#similar-movie').value.trim();
+  const i = state.titleIndex?.get(title);
+  if (i === undefined) { setStatus('Pick a movie title from the list.', false); return; }
+  try {
+    renderSimilar(await callWorker('similar', { i, topN: clampInt($('#similar-n').value, 1, 50, 10) }));
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not find similar movies: ${err.message}`, false);
+  }
+}
+
+function renderSimilar(items) {
+  const tbody = $('#similar-table tbody');
+  tbody.innerHTML = '';
+  items.forEach(({ i, cosine }, r) => {
+    const m = movies[i];
+    const tr = document.createElement('tr');
+    const tdRank = document.createElement('td'); tdRank.textContent = String(r + 1); tr.appendChild(tdRank);
+    const tdTitle = document.createElement('td');
+    if (m.imdbUrl) {
+      const a = document.createElement('a'); a.href = m.imdbUrl; a.target = '_blank'; a.rel = 'noopener';
+      a.textContent = m.title; tdTitle.appendChild(a);
+    } else {
+      tdTitle.textContent = m.title;
+    }
+    tr.appendChild(tdTitle);
+    const tdGenres = document.createElement('td'); tdGenres.textContent = m.genres.join(', ') || '—'; tr.appendChild(tdGenres);
+    const tdCos = document.createElement('td'); tdCos.textContent = cosine.toFixed(3); tr.appendChild(tdCos);
+    tbody.appendChild(tr);
   });
+}
 
-  const predArr = Array.from(out.pred.dataSync()); // [I]
-  const dotArr  = Array.from(out.dot.dataSync());  // [I]
-  out.pred.dispose(); out.dot.dispose();
+// ---------------- Error Analysis ----------------
+// Validation error by user activity, movie popularity, genre, year and true rating (worker
+// analyzeValidationErrors → error-analysis.js), plus the predicted-vs-actual histogram
+async function onAnalyzeErrors() {
+  if (!state.trained) { setStatus('Train or load a model first.', false); return; }
+  $('#btn-analyze').disabled = true;
+  setStatus('Analyzing validation errors…');
+  try {
+    const report = await callWorker('analyze');
+    renderErrorAnalysis(report);
+    setStatus(`Error analysis done (${report.n} validation ratings).`, true);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not analyze errors: ${err.message}`, false);
+  } finally {
+    $('#btn-analyze').disabled = !state.trained;
+  }
+}
 
-  // Read biases once
-  const buVal = state.bu.dataSync()[u];
-  const biArr = state.bi.dataSync(); // Float32Array length I
-  const mu = STATS.mean;
+/** @param {ErrorReport} report */
+function renderErrorAnalysis(report) {
+  const o = report.overall;
+  $('#error-summary').textContent =
+    `${report.n} ratings · RMSE ${fmtMetric(o.rmse)} · MAE ${fmtMetric(o.mae)} · bias ${fmtBias(o.bias)}`;
 
-  const candidates = [];
-  for (let i = 0; i < state.I; i++) {
-    if (seen.has(i)) continue;
-    const m = movies[i];
-    candidates.push({
-      rank: 0,
-      u, i,
-      rawUserId: getRawUserIdFromDense(u),
-      rawItemId: m.rawId,
-      title: m.title,
-      genres: m.genres,
-      pred: predArr[i],
-      parts: { mu, bu: buVal, bi: biArr[i], dot: dotArr[i] }
+  renderErrorGroups('#error-by-activity', report.byUserActivity);
+  renderErrorGroups('#error-by-popularity', report.byItemPopularity);
+  renderErrorGroups('#error-by-genre', report.byGenre);
+  renderErrorGroups('#error-by-year', report.byYear);
+  renderErrorGroups('#error-by-rating', report.byRating);
+  renderErrorHistogram(report.histogram);
+
+  const userIds = rawIdsByDenseIndex(userIndexByRawId);
+  renderErrorRows('#error-worst-users', report.worstUsers,
+    w => [String(userIds[w.u]), String(w.n), fmtMetric(w.rmse), fmtBias(w.bias), String(w.activity)]);
+  renderErrorRows('#error-worst-items', report.worstItems,
+    w => [movies[w.i].title, String(w.n), fmtMetric(w.rmse), fmtBias(w.bias), String(w.popularity)]);
+}
+
+const fmtBias = x => (Number.isFinite(x) ? `${x >= 0 ? '+' : ''}${x.toFixed(3)}` : '–');
+
+function renderErrorGroups(sel, groups) {
+  renderErrorRows(sel, groups, g => [g.label, String(g.n), fmtMetric(g.rmse), fmtMetric(g.mae), fmtBias(g.bias)]);
+}
+
+function renderErrorRows(sel, rows, cells) {
+  const tbody = $(`${sel} tbody`);
+  tbody.innerHTML = '';
+  if (!rows.length) {
+    const tr = document.createElement('tr'); const td = document.createElement('td');
+    td.colSpan = 5; td.className = 'muted'; td.textContent = 'Not enough validation ratings.';
+    tr.appendChild(td); tbody.appendChild(tr); return;
+  }
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    for (const text of cells(row)) {
+      const td = document.createElement('td'); td.textContent = text; tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+// Cells shaded by their share of the row, so each true rating reads as its own distribution
+function renderErrorHistogram({ ratings, bins, counts }) {
+  const head = $('#error-histogram thead tr');
+  head.innerHTML = '<th>True ↓ · predicted →</th>';
+  bins.forEach(({ lo, hi }, b) => {
+    const th = document.createElement('th');
+    th.textContent = b === 0 ? `< ${hi}` : b === bins.length - 1 ? `≥ ${lo}` : `${lo}–${hi}`;
+    head.appendChild(th);
+  });
+
+  const tbody = $('#error-histogram tbody');
+  tbody.innerHTML = '';
+  ratings.forEach((r, row) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th'); th.textContent = `${r}★`; tr.appendChild(th);
+    const total = counts[row].reduce((a, c) => a + c, 0) || 1;
+    for (const c of counts[row]) {
+      const td = document.createElement('td');
+      td.textContent = c ? String(c) : '';
+      td.style.background = `rgba(10,132,255,${(0.6 * c / total).toFixed(3)})`;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+}
+
+// ---------------- Onboarding (cold start) ----------------
+// A visitor rates PROFILE_MIN..PROFILE_MAX movies; the worker folds their user vector and
+// bias in against the frozen Q / bi (recommendForProfile) — no retraining. WRMF models fold
+// the ratings in as preferences and give no bias.
+const PROFILE_MIN = 5;
+const PROFILE_MAX = 15;
+
+// Rating choices on the dataset's scale: whole stars, or half stars (10M, ml-latest)
+function fillOnboardingRatings() {
+  const sel = $('#onboard-rating');
+  const { min, max, step } = STATS.scale;
+  sel.innerHTML = '';
+  for (let r = max; r >= min; r -= step) {
+    const opt = document.createElement('option');
+    opt.value = String(r); opt.textContent = `${r} ★`;
+    sel.appendChild(opt);
+  }
+  sel.value = String(Math.min(max, 4));
+}
+
+function fillOnboardingTitles() {
+  const list = $('#onboard-titles');
+  list.innerHTML = '';
+  state.titleIndex = new Map();
+  movies.forEach((m, i) => {
+    if (state.titleIndex.has(m.title)) return;
+    state.titleIndex.set(m.title, i);
+    const opt = document.createElement('option');
+    opt.value = m.title;
+    list.appendChild(opt);
+  });
+}
+
+function onProfileAdd() {
+  const title = $('#onboard-movie').value.trim();
+  const i = state.titleIndex?.get(title);
+  if (i === undefined) { setStatus('Pick a movie title from the list.', false); return; }
+  if (!state.profile.has(i) && state.profile.size >= PROFILE_MAX) {
+    setStatus(`At most ${PROFILE_MAX} ratings.`, false); return;
+  }
+  state.profile.set(i, Number($('#onboard-rating').value));
+  $('#onboard-movie').value = '';
+  renderProfile();
+}
+
+function renderProfile() {
+  const ul = $('#onboard-list');
+  ul.innerHTML = '';
+  for (const [i, r] of state.profile) {
+    const li = document.createElement('li');
+    li.textContent = `${movies[i].title} — ${r}★ `;
+    const btn = document.createElement('button');
+    btn.className = 'btn ghost small';
+    btn.textContent = '×';
+    btn.title = 'Remove';
+    btn.addEventListener('click', () => { state.profile.delete(i); renderProfile(); });
+    li.appendChild(btn);
+    ul.appendChild(li);
+  }
+  const n = state.profile.size;
+  $('#onboard-count').textContent = `${n}/${PROFILE_MAX} rated (at least ${PROFILE_MIN})`;
+  $('#btn-onboard-add').disabled = n >= PROFILE_MAX;
+  $('#btn-onboard-recommend').disabled = n < PROFILE_MIN;
+  $('#btn-profile-save').disabled = n === 0;
+}
+
+async function onProfileRecommend() {
+  if (!state.trained) { setStatus('Train or load a model first.', false); return; }
+  const n = state.profile.size;
+  if (n < PROFILE_MIN) { setStatus(`Rate at least ${PROFILE_MIN} movies.`, false); return; }
+
+  const ratings = Array.from(state.profile, ([i, r]) => ({ i, r }));
+  const topN = clampInt($('#topn').value, 1, 50, 10);
+  try {
+    const { recs, bias: b, implicit } = await callWorker('recommendProfile', { ratings, topN, constraints: readConstraints() });
+    renderRecommendations(recs);
+    setStatus(implicit
+      ? `Recommendations from your ${n} ratings, folded in as WRMF preferences (confidence 1 + α·rating, no bias).`
+      : `Recommendations from your ${n} ratings (your bias ${b >= 0 ? '+' : ''}${b.toFixed(3)}).`, true);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not recommend: ${err.message}`, false);
+  }
+}
+
+function onProfileSave() {
+  try {
+    saveLocalProfile({
+      savedAt: new Date().toISOString(),
+      ratings: Array.from(state.profile, ([i, rating]) => ({ rawItemId: movies[i].rawId, rating }))
     });
+    setStatus(`Saved your ${state.profile.size} ratings in this browser.`, true);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not save profile: ${err.message}`, false);
   }
+}
+
+function onProfileLoad() {
+  const profile = loadLocalProfile();
+  if (!profile) { setStatus('No saved profile in this browser.', false); return; }
+  state.profile = new Map();
+  for (const { rawItemId, rating } of profile.ratings.slice(0, PROFILE_MAX)) {
+    const i = movieIndexByRawId.get(rawItemId);
+    if (i !== undefined) state.profile.set(i, rating);
+  }
+  renderProfile();
+  setStatus(`Loaded ${state.profile.size} saved ratings.`, true);
+}
 
-  candidates.sort((a, b) => b.pred - a.pred);
-  for (let r = 0; r < candidates.length; r++) candidates[r].rank = r + 1;
-  return candidates.slice(0, topN);
+function onProfileClear() {
+  state.profile = new Map();
+  renderProfile();
 }
 
+// WRMF recommendations carry a preference score (p·q), not a predicted rating
 function renderRecommendations(recs) {
+  const implicit = recs.length > 0 && recs[0].pred == null;
+  $('#results-score').textContent = implicit ? 'Preference (p·q)' : 'Predicted';
+  $('#results-why').textContent = implicit ? 'Why (p·q)' : 'Why (μ | bᵤ | bᵢ | dot)';
   const tbody = $('#results-table tbody');
   tbody.innerHTML = '';
   if (!recs.length) {
-    const tr = document.createElement('tr'); const td = document.createElement('td');
-    td.colSpan = 5; td.textContent = 'No recommendations.'; tr.appendChild(td); tbody.appendChild(tr); return;
-    }
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 5;
+    td.textContent = 'No recommendations.';
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+    return;
+  }
   for (const r of recs) {
     const tr = document.createElement('tr');
 
     const tdRank = document.createElement('td'); tdRank.textContent = String(r.rank); tr.appendChild(tdRank);
-    const tdTitle = document.createElement('td'); tdTitle.textContent = r.title; tr.appendChild(tdTitle);
+    const tdTitle = document.createElement('td');
+    if (r.imdbUrl) {
+      const a = document.createElement('a'); a.href = r.imdbUrl; a.target = '_blank'; a.rel = 'noopener';
+      a.textContent = r.title; tdTitle.appendChild(a);
+    } else {
+      tdTitle.textContent = r.title;
+    }
+    tr.appendChild(tdTitle);
     const tdGenres = document.createElement('td'); tdGenres.textContent = r.genres.join(', ') || '—'; tr.appendChild(tdGenres);
-    const tdPred = document.createElement('td'); tdPred.textContent = r.pred.toFixed(3); tr.appendChild(tdPred);
+    const tdPred = document.createElement('td'); tdPred.textContent = (implicit ? r.preference : r.pred).toFixed(3); tr.appendChild(tdPred);
     const tdExplain = document.createElement('td');
-    tdExplain.textContent = `${r.parts.mu.toFixed(3)} | ${r.parts.bu.toFixed(3)} | ${r.parts.bi.toFixed(3)} | ${r.parts.dot.toFixed(3)}`;
+    if (r.because?.length) {
+      const why = document.createElement('div');
+      why.textContent = `Because you rated ${r.because.map(b => `${b.title} (${b.rating}★)`).join(', ')}`;
+      tdExplain.appendChild(why);
+    }
+    const parts = document.createElement('div');
+    parts.className = 'muted small';
+    const dotSplit = r.dotSplit
+      ? ` (rated movies ${r.dotSplit.rated.toFixed(3)} + rest ${r.dotSplit.residual.toFixed(3)})`
+      : '';
+    parts.textContent = implicit
+      ? `${r.parts.dot.toFixed(3)}${dotSplit}`
+      : `${r.parts.mu.toFixed(3)} | ${r.parts.bu.toFixed(3)} | ${r.parts.bi.toFixed(3)} | ${r.parts.dot.toFixed(3)}${dotSplit}`;
+    tdExplain.appendChild(parts);
     tr.appendChild(tdExplain);
 
     tbody.appendChild(tr);
   }
 }
 
+// ---------------- Constraints ----------------
+function fillGenreConstraintSelects() {
+  for (const id of ['#c-include-genres', '#c-exclude-genres']) {
+    const sel = $(id);
+    sel.innerHTML = '';
+    for (const g of GENRES) {
+      const opt = document.createElement('option');
+      opt.value = g; opt.textContent = g;
+      sel.appendChild(opt);
+    }
+  }
+}
+
+/**
+ * Read the constraint fields; empty fields mean "no constraint". Titles stay as typed —
+ * the worker normalizes them (passesConstraints).
+ * @returns {{yearFrom:number|null,yearTo:number|null,includeGenres:string[],excludeGenres:string[],excludeTitles:string[]}}
+ */
+function readConstraints() {
+  const year = v => { const n = parseInt(v, 10); return Number.isFinite(n) ? n : null; };
+  const genres = sel => Array.from($(sel).selectedOptions, o => o.value);
+  return {
+    yearFrom: year($('#c-year-from').value),
+    yearTo: year($('#c-year-to').value),
+    includeGenres: genres('#c-include-genres'),
+    excludeGenres: genres('#c-exclude-genres'),
+    excludeTitles: $('#c-exclude-titles').value.split('\n').map(t => t.trim()).filter(Boolean)
+  };
+}
+
 // ---------------- Utilities ----------------
 function clampInt(v, min, max, dflt) {
   const n = parseInt(String(v).replace(',', '.'), 10);
@@ -384,16 +1052,5 @@ function clampFloat(v, min, max, dflt) {
   if (!Number.isFinite(n)) return dflt;
   return Math.max(min, Math.min(max, n));
 }
-function shuffleInt32(arr) {
-  for (let i = arr.length - 1; i > 0; i--) { const j = (Math.random() * (i + 1)) | 0; const t = arr[i]; arr[i] = arr[j]; arr[j] = t; }
-}
-function getRawUserIdFromDense(uDense) {
-  if (!getRawUserIdFromDense.cache) {
-    const map = new Map(); for (const [raw, dense] of userIndexByRawId.entries()) map.set(dense, raw);
-    getRawUserIdFromDense.cache = map;
-  }
-  return getRawUserIdFromDense.cache.get(uDense);
-}
-getRawUserIdFromDense.cache = null;
 
-window.addEventListener('beforeunload', disposeModel);
+window.addEventListener('beforeunload', () => state.worker?.terminate());
@@ -0,0 +1,9 @@
+// worker-scripts.js
+// What mf-worker.js runs on, in load order (URLs relative to week3/): the worker passes the list
+// to importScripts, and the page loads the same scripts into a frame when it cannot start a worker.
+
+const MF_WORKER_SCRIPTS = [
+  'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs/dist/tf.min.js',
+  '../shared/movielens.js', '../shared/metrics.js', '../shared/rng.js', 'data.js', 'rng.js', 'als.js', 'model-store.js',
+  'error-analysis.js', 'mf-engine.js'
+];
@@ -11,9 +11,15 @@
   const lossCanvas = $('#lossChart');
   const pcaCanvas  = $('#embeddingChart');
   const resultsEl  = $('#results');
+  const seedInput  = $('#seed');
+  const pickerHost = $('#dataset-picker');
+  const demoInput  = $('#demographics');
+  const btnCompare = $('#compareDemographics');
 
   let tablesHost = $('#comparison-tables');
   if (!tablesHost) { tablesHost = document.createElement('div'); tablesHost.id = 'comparison-tables'; document.body.appendChild(tablesHost); }
+  let demoReportHost = $('#demographics-report');
+  if (!demoReportHost) { demoReportHost = document.createElement('div'); demoReportHost.id = 'demographics-report'; document.body.appendChild(demoReportHost); }
 
   // ----------------------------- Ускорённые настройки --------------------------
   const CONFIG = {
@@ -34,10 +40,18 @@
     // Ограничим объём обучающих пар
     capPosPerUser: 30,        // максимум позитивов на пользователя
 
+    // Seed для прореживания, порядка батчей, негативов и инициализации (rng.js); берётся из #seed
+    seed: 42,
+
     // Данные
-    files: { item: 'data/u.item', data: 'data/u.data' },
-    genreCount: 19,
+    dataDir: 'data/',         // u.item/u.data, movies.dat/ratings.dat или movies.csv/ratings.csv — формат определяется сам
+    genreCount: 0,            // размер словаря жанров датасета (100K: 19 флагов u.item); задаётся при загрузке
     posThreshold: 4,          // если мало — автоматически ослабим до 3
+    useDemographics: true,    // возраст, пол, профессия, индекс из u.user / users.dat в башне пользователя; берётся из #demographics
+
+    // Сравнение с демографией и без: доля отложенных позитивов и K метрик ретривала
+    holdout: 0.2,
+    evalK: 10,
 
     // Рекоммендации / отчёты
     topK: 10,
@@ -48,21 +62,17 @@
     pcaPowerIters: 15
   };
 
-  const GENRES = [
-    "unknown","Action","Adventure","Animation","Children's","Comedy","Crime",
-    "Documentary","Drama","Fantasy","Film-Noir","Horror","Musical",
-    "Mystery","Romance","Sci-Fi","Thriller","War","Western"
-  ];
-
   const ST = {
+    dataset: null,            // MovieLens.loadDataset: плотные ID, рейтинги, жанровые векторы
     items: new Map(),
-    interactionsRaw: [],
     userMap: new Map(), revUser: [],
     itemMap: new Map(), revItem: [],
     positives: [],
+    positivesAll: [], thinSeed: null, // до thinPositives и seed, с которым прорежены — при смене seed перепрореживаем
     userSeen: new Map(),
     itemGenresDense: null,
     userGenresDense: null,
+    demographics: null,       // Pipeline.buildDemographicFeatures: блоки age/gender/occupation/zip или null без файла пользователей
     itemSum: null, itemCnt: null,
     model: null,
     lossHistory: [],
@@ -82,133 +92,88 @@
   }
 
   // ----------------------------- Loading & parsing ----------------------------
-  async function loadItems() {
-    const res = await fetch(CONFIG.files.item);
-    if (!res.ok) throw new Error(`Failed to fetch ${CONFIG.files.item}: ${res.status}`);
-    const text = await res.text();
-    const lines = text.split(/\r?\n/);
-    const G = CONFIG.genreCount;
+  // Парсинг и проверка файлов — в общем модуле ../shared/movielens.js (те же ID, что в week2/week3).
+  // Файлы, выбранные в пикере (или .zip), важнее файлов из CONFIG.dataDir
+  const picker = pickerHost && createDatasetPicker(pickerHost, {
+    onChange: files => setStatus(files ? 'Files chosen — click Load Data.' : 'Bundled files chosen — click Load Data.')
+  });
+
+  async function loadDataset() {
+    await picker?.ready;
+    const files = picker?.files();
+    const onProgress = picker?.progress;
+    let ds;
+    try {
+      ds = files
+        ? await MovieLens.readDatasetFiles(files, { onProgress })
+        : await MovieLens.loadDataset({ dir: CONFIG.dataDir, onProgress });
+    } finally {
+      picker?.done();
+    }
+    if (ds.skipped.items || ds.skipped.ratings || ds.skipped.users) {
+      console.warn(`Skipped ${ds.skipped.items} movie, ${ds.skipped.ratings} rating and ${ds.skipped.users} user lines`);
+    }
+    ST.dataset = ds;
+    CONFIG.genreCount = ds.genres.length;
     ST.items.clear();
-    for (const raw of lines) {
-      const line = raw.trim(); if (!line) continue;
-      const p = line.split('|'); if (p.length < 5 + G) continue;
-      const rawItemId = parseInt(p[0],10);
-      const titleRaw  = String(p[1] ?? '');
-      const ym = /\((\d{4})\)\s*$/.exec(titleRaw);
-      const year = ym ? parseInt(ym[1],10) : null;
-      const title = titleRaw.replace(/\(\d{4}\)\s*$/, '').trim();
-      const flags = Array.from({length:G}, (_,g)=> (p[5+g]==='1'||p[5+g]===1)?1:0);
-      ST.items.set(rawItemId, { title, year, genres: flags });
+    for (const m of ds.movies) {
+      const title = m.title.replace(/\(\d{4}\)\s*$/, '').trim();
+      ST.items.set(m.rawId, { title, year: m.year ?? null, genres: Array.from(m.genreVec) });
     }
   }
 
-  async function loadRatings() {
-    const res = await fetch(CONFIG.files.data);
-    if (!res.ok) throw new Error(`Failed to fetch ${CONFIG.files.data}: ${res.status}`);
-    const text = await res.text();
-    const lines = text.split(/\r?\n/);
-    ST.interactionsRaw.length = 0;
-    for (const raw of lines) {
-      const line = (raw||'').trim(); if (!line) continue;
-      const [uS,iS,rS] = line.split('\t'); if (!uS||!iS||!rS) continue;
-      const userId = parseInt(uS,10), itemId = parseInt(iS,10), rating = parseFloat(rS);
-      if (!Number.isFinite(userId)||!Number.isFinite(itemId)||!Number.isFinite(rating)) continue;
-      if (!ST.items.has(itemId)) continue;
-      ST.interactionsRaw.push({ userId, itemId, rating });
-    }
+  function readSeed() {
+    const n = parseInt(String(seedInput?.value ?? ''), 10);
+    if (Number.isFinite(n) && n >= 0) CONFIG.seed = n;
+    return CONFIG.seed;
   }
 
   function buildMappingsAndAggregates() {
-    const users = new Set(ST.interactionsRaw.map(x=>x.userId));
-    let u=0; for (const ru of users){ ST.userMap.set(ru,u++); ST.revUser.push(ru); }
-    const items = Array.from(ST.items.keys()).sort((a,b)=>a-b);
-    let i=0; for (const ri of items){ ST.itemMap.set(ri,i++); ST.revItem.push(ri); }
-
-    const I = ST.revItem.length;
-    ST.itemSum = new Float32Array(I);
-    ST.itemCnt = new Uint32Array(I);
-
-    ST.userSeen.clear(); ST.positives.length = 0;
-
-    for (const {userId,itemId,rating} of ST.interactionsRaw) {
-      const uu = ST.userMap.get(userId); const ii = ST.itemMap.get(itemId);
-      if (uu==null || ii==null) continue;
-      if (!ST.userSeen.has(uu)) ST.userSeen.set(uu,new Set());
-      ST.userSeen.get(uu).add(ii);
-      if (rating >= CONFIG.posThreshold) ST.positives.push({u:uu,i:ii});
-      ST.itemSum[ii] += rating; ST.itemCnt[ii] += 1;
-    }
-
-    ST.stats.nUsers = ST.revUser.length;
-    ST.stats.nItems = ST.revItem.length;
-    ST.stats.nRatings = ST.interactionsRaw.length;
-
-    if (ST.positives.length < 1000) { // запасной план: ослабляем порог
-      ST.positives.length = 0; ST.userSeen.clear();
-      for (const {userId,itemId,rating} of ST.interactionsRaw) {
-        const uu = ST.userMap.get(userId); const ii = ST.itemMap.get(itemId);
-        if (!ST.userSeen.has(uu)) ST.userSeen.set(uu,new Set());
-        ST.userSeen.get(uu).add(ii);
-        if (rating >= 3) ST.positives.push({u:uu,i:ii});
-      }
-    }
+    const ds = ST.dataset;
+    ST.userMap = ds.userIndex; ST.revUser = ds.userRawIds;
+    ST.itemMap = ds.itemIndex; ST.revItem = ds.itemRawIds;
+
+    // пары, агрегаты, прореживание и признаки — в pipeline.js (общие с cli/train.js)
+    const { positives, userSeen, itemSum, itemCnt } = Pipeline.preparePairs(ds, CONFIG.posThreshold);
+    ST.positivesAll = ST.positives = positives;
+    ST.userSeen = userSeen; ST.itemSum = itemSum; ST.itemCnt = itemCnt;
+
+    ST.stats.nUsers = ds.stats.nUsers;
+    ST.stats.nItems = ds.stats.nItems;
+    ST.stats.nRatings = ds.stats.nRatings;
   }
 
   // ВАЖНО: тонкая выборка позитивов — режем хвосты по пользователям до capPosPerUser
   function thinPositives(cap = CONFIG.capPosPerUser) {
-    if (!cap || cap <= 0) return;
-    const perUser = new Map();
-    for (const p of ST.positives) {
-      if (!perUser.has(p.u)) perUser.set(p.u, []);
-      perUser.get(p.u).push(p.i);
-    }
-    const newPos = [];
-    for (const [u, items] of perUser) {
-      // случайно перетасуем и обрежем
-      for (let k=items.length-1; k>0; k--) { const j=(Math.random()*(k+1))|0; [items[k],items[j]]=[items[j],items[k]]; }
-      const take = Math.min(items.length, cap);
-      for (let t=0; t<take; t++) newPos.push({u, i: items[t]});
-    }
-    ST.positives = newPos;
+    ST.positives = Pipeline.thinPositives(ST.positivesAll, cap, CONFIG.seed);
+    ST.thinSeed = CONFIG.seed;
   }
 
   function buildGenreMatrices() {
-    const U = ST.revUser.length, I = ST.revItem.length, G = CONFIG.genreCount;
-    const itemGenres = Array.from({length:I}, ()=>Array(G).fill(0));
-    for (let i=0;i<I;i++){
-      const raw = ST.revItem[i]; const meta = ST.items.get(raw);
-      itemGenres[i] = meta?.genres ? meta.genres.slice(0,G) : Array(G).fill(0);
-    }
-    const userGenres = Array.from({length:U}, ()=>Array(G).fill(0));
-    for (const {u,i} of ST.positives) {
-      const g = itemGenres[i];
-      for (let k=0;k<G;k++) userGenres[u][k] += g[k];
-    }
-    const l2 = row => { let s=0; for (const v of row) s+=v*v; const d=Math.sqrt(s)||1; return row.map(v=>v/d); };
-    ST.itemGenresDense = itemGenres.map(l2);
-    ST.userGenresDense = userGenres.map(l2);
+    const { itemGenres, userGenres } = Pipeline.buildGenreFeatures(ST.dataset, ST.positives, CONFIG.genreCount);
+    ST.itemGenresDense = itemGenres;
+    ST.userGenresDense = userGenres;
+  }
+
+  function readDemographics() {
+    if (demoInput) CONFIG.useDemographics = demoInput.checked;
+    return CONFIG.useDemographics && !!ST.demographics;
   }
 
   // ----------------------------- Model wiring ---------------------------------
-  function buildModel() {
-    if (ST.model) { ST.model.dispose(); ST.model = null; }
-    ST.model = new TwoTowerModel(
+  function newModel(useDemographics, itemGenres = ST.itemGenresDense, userGenres = ST.userGenresDense) {
+    const model = new TwoTowerModel(
       ST.revUser.length, ST.revItem.length, CONFIG.embDim,
       { lossType: CONFIG.lossType, lr: CONFIG.learningRate, userHidden: CONFIG.userHidden,
-        itemHidden: CONFIG.itemHidden, l2: CONFIG.l2, normalize: CONFIG.normalize }
+        itemHidden: CONFIG.itemHidden, l2: CONFIG.l2, normalize: CONFIG.normalize, seed: CONFIG.seed }
     );
-    ST.model.setFeatures({ itemGenres: ST.itemGenresDense, userGenres: ST.userGenresDense });
+    model.setFeatures({ itemGenres, userGenres, userFeatures: useDemographics ? ST.demographics : {} });
+    return model;
   }
 
-  function* batchIterator(pairs, batch) {
-    const idx = pairs.map((_,i)=>i);
-    for (let i=idx.length-1;i>0;i--){ const j=(Math.random()*(i+1))|0; [idx[i],idx[j]]=[idx[j],idx[i]]; }
-    for (let s=0;s<idx.length;s+=batch) {
-      const e = Math.min(idx.length, s+batch);
-      const u = new Int32Array(e-s), it = new Int32Array(e-s);
-      for (let b=0;b<e-s;b++){ const p = pairs[idx[s+b]]; u[b]=p.u; it[b]=p.i; }
-      yield { users: u, items: it, size: e-s };
-    }
+  function buildModel() {
+    if (ST.model) { ST.model.dispose(); ST.model = null; }
+    ST.model = newModel(readDemographics());
   }
 
   // ----------------------------- Loss chart -----------------------------------
@@ -234,35 +199,93 @@
     if (!ST.model) { setStatus('Model is not initialized'); return; }
     if (!ST.positives.length) { setStatus('No positive pairs to train on'); return; }
 
-    btnLoad && (btnLoad.disabled=true);
-    btnTrain && (btnTrain.disabled=true);
-    btnTest && (btnTest.disabled=true);
-
-    const totalBatches = Math.ceil(ST.positives.length / CONFIG.batchSize) * CONFIG.epochs;
-    let done=0; ST.lossHistory.length=0;
-
-    for (let ep=1; ep<=CONFIG.epochs; ep++) {
-      let sum=0, cnt=0, iBatch=0;
-      for (const bt of batchIterator(ST.positives, CONFIG.batchSize)) {
-        const loss = await ST.model.trainStep(bt.users, bt.items); // softmax
-        sum += loss * bt.size; cnt += bt.size; ST.lossHistory.push(loss);
-        done++; iBatch++;
-        if (iBatch % CONFIG.lossDrawEvery === 0) {
+    setButtonsDisabled(true);
+    try {
+      ST.lossHistory.length=0;
+      await Pipeline.trainEpochs(ST.model, ST.positives, {
+        epochs: CONFIG.epochs, batchSize: CONFIG.batchSize, seed: CONFIG.seed,
+        onBatch: async ({ epoch, batch, loss, meanLoss, done, total }) => {
+          ST.lossHistory.push(loss);
+          if (batch % CONFIG.lossDrawEvery !== 0) return;
           drawLoss();
-          const pct = Math.round((done/totalBatches)*100);
-          setStatus(`Epoch ${ep}/${CONFIG.epochs} — loss ~ ${(sum/cnt).toFixed(4)} — ${pct}% (backend: ${ST.backend})`);
+          const pct = Math.round((done/total)*100);
+          setStatus(`Epoch ${epoch}/${CONFIG.epochs} — loss ~ ${meanLoss.toFixed(4)} — ${pct}% (seed ${CONFIG.seed}, backend: ${ST.backend})`);
           await tf.nextFrame();
         }
-      }
-      await new Promise(r=>setTimeout(r,0));
+      });
+
+      drawLoss();
+      const last = ST.lossHistory.length ? ST.lossHistory[ST.lossHistory.length-1].toFixed(4) : '—';
+      setStatus(`Training complete ✅ (last batch loss ${last}, seed ${CONFIG.seed}${readDemographics() ? ', with demographics' : ''})`);
+    } finally {
+      setButtonsDisabled(false);
     }
+  }
 
-    drawLoss();
-    setStatus('Training complete ✅');
+  function setButtonsDisabled(disabled) {
+    btnLoad && (btnLoad.disabled=disabled);
+    btnTrain && (btnTrain.disabled=disabled);
+    btnTest && (btnTest.disabled=disabled || !ST.model);
+    btnCompare && (btnCompare.disabled=disabled || !ST.demographics);
+  }
 
-    btnLoad && (btnLoad.disabled=false);
-    btnTrain && (btnTrain.disabled=false);
-    btnTest && (btnTest.disabled=false);
+  // ----------------------------- Demographics comparison ----------------------
+  // Две модели с одним seed на одних и тех же парах: без демографии и с ней. Позитивы делятся до
+  // прореживания, жанровые профили считаются только по обучающим парам — отложенное не подглядываем.
+  async function compareDemographics() {
+    await ensureTF_CPU();
+    setButtonsDisabled(true);
+    try {
+      const K = CONFIG.evalK;
+      const { train: trainPositives, heldOut } = Pipeline.splitHoldout(ST.positivesAll, CONFIG.holdout, CONFIG.seed);
+      const pairs = Pipeline.thinPositives(trainPositives, CONFIG.capPosPerUser, CONFIG.seed);
+      const { itemGenres, userGenres } = Pipeline.buildGenreFeatures(ST.dataset, pairs, CONFIG.genreCount);
+      const evaluate = rank => Pipeline.evaluateRetrieval(rank, heldOut, ST.userSeen, ST.revItem.length, K);
+
+      const rows = [];
+      for (const [label, useDemographics] of [['Two-Tower without demographics', false], ['Two-Tower with demographics', true]]) {
+        const model = newModel(useDemographics, itemGenres, userGenres);
+        try {
+          await Pipeline.trainEpochs(model, pairs, {
+            epochs: CONFIG.epochs, batchSize: CONFIG.batchSize, seed: CONFIG.seed,
+            onBatch: async ({ epoch, meanLoss, done, total }) => {
+              if (done % 20 !== 0 && done !== total) return;
+              setStatus(`${label}: epoch ${epoch}/${CONFIG.epochs} — loss ~ ${meanLoss.toFixed(4)} — ${Math.round(100*done/total)}%`);
+              await tf.nextFrame();
+            }
+          });
+          setStatus(`${label}: evaluating on ${heldOut.size} users…`);
+          rows.push({ label, m: await evaluate((u, k, seen) => Pipeline.topKDeep(model, u, k, seen)) });
+        } finally {
+          model.dispose();
+        }
+      }
+      rows.push({ label: 'Genre baseline (no deep learning)', m: await evaluate((u, k, seen) => Pipeline.topKContent(userGenres, itemGenres, u, k, seen)) });
+      renderDemographicsReport(rows, K, pairs.length);
+      setStatus(`Demographics comparison done (seed ${CONFIG.seed}, ${heldOut.size} users, K=${K})`);
+    } finally {
+      setButtonsDisabled(false);
+    }
+  }
+
+  function renderDemographicsReport(rows, K, trainPairs) {
+    const cols = [['recall','Recall'], ['ndcg','NDCG'], ['hitRate','Hit rate'], ['precision','Precision'], ['map','MAP'], ['coverage','Coverage']];
+    const [without, withDemo] = rows;
+    const delta = cols.map(([k]) => withDemo.m[k] - without.m[k]);
+    const fmt = v => Number.isFinite(v) ? v.toFixed(4) : '—';
+    const signed = v => Number.isFinite(v) ? `${v >= 0 ? '+' : ''}${v.toFixed(4)}` : '—';
+    demoReportHost.innerHTML = `
+      <section class="comp-table">
+        <h3>Retrieval with and without demographics @${K}</h3>
+        <p>${Math.round(CONFIG.holdout*100)}% of each user's positives held out, ${trainPairs} training pairs, seed ${CONFIG.seed}.</p>
+        <table>
+          <thead><tr><th>model</th>${cols.map(([,t])=>`<th>${t}@${K}</th>`).join('')}</tr></thead>
+          <tbody>${rows.map(r=>`
+            <tr><td>${escapeHtml(r.label)}</td>${cols.map(([k])=>`<td>${fmt(r.m[k])}</td>`).join('')}</tr>`).join('')}
+            <tr><th>Δ demographics</th>${delta.map(v=>`<th>${signed(v)}</th>`).join('')}</tr>
+          </tbody>
+        </table>
+      </section>`;
   }
 
   // ----------------------------- PCA (fast) -----------------------------------
@@ -279,11 +302,12 @@
     const idx = tf.tensor1d(idxArr,'int32'); const X = tf.gather(I, idx); // [N,D]
     const mean = tf.mean(X,0,true); const Xc = X.sub(mean);              // [N,D]
     const Cov  = tf.matMul(Xc, Xc, true, false);                          // [D,D]
-    const v1   = await powerIteration(Cov, CONFIG.pcaPowerIters);
+    const rand = createRng(CONFIG.seed, TWO_TOWER_RNG_STREAMS.pca);
+    const v1   = await powerIteration(Cov, CONFIG.pcaPowerIters, nextTensorSeed(rand));
     const Cov_v1 = tf.matMul(Cov, v1); const l1 = tf.sum(tf.mul(v1, Cov_v1));
     const v1T = v1.transpose(); const outer1 = tf.matMul(v1, v1T);
     const Cov2 = tf.sub(Cov, outer1.mul(l1));
-    const v2 = await powerIteration(Cov2, CONFIG.pcaPowerIters);
+    const v2 = await powerIteration(Cov2, CONFIG.pcaPowerIters, nextTensorSeed(rand));
     const V2 = tf.concat([v1,v2],1); const proj = tf.matMul(Xc, V2);     // [N,2]
     const pts = await proj.array();
 
@@ -293,38 +317,36 @@
 
     ctx.fillStyle='rgba(0,122,204,0.65)';
     for (let i=0;i<N;i++){ const x=((pts[i][0]-xMin)/xR)*(W-40)+20; const y=((pts[i][1]-yMin)/yR)*(H-40)+20; ctx.beginPath(); ctx.arc(x,y,2.4,0,Math.PI*2); ctx.fill(); }
-    ctx.fillStyle='#333'; ctx.font='12px system-ui, -apple-system, Arial'; ctx.fillText(`Item Embeddings projection • ${N} items (PCA)`,10,18);
+    ctx.fillStyle='#333'; ctx.font='12px system-ui, -apple-system, Arial'; ctx.fillText(`Item Embeddings projection • ${N} items (PCA) • seed ${CONFIG.seed}`,10,18);
 
     idx.dispose(); X.dispose(); Xc.dispose(); mean.dispose(); Cov.dispose(); v1.dispose(); Cov_v1.dispose(); l1.dispose(); v1T.dispose(); outer1.dispose(); Cov2.dispose(); v2.dispose(); V2.dispose(); proj.dispose();
   }
 
-  function powerIteration(C, iters=15){
-    return tf.tidy(()=>{ let v=tf.randomNormal([C.shape[0],1]); for(let t=0;t<iters;t++){ v=tf.matMul(C,v); v=v.div(tf.norm(v).add(1e-8)); } return v; });
+  function powerIteration(C, iters=15, seed){
+    return tf.tidy(()=>{ let v=tf.randomNormal([C.shape[0],1],0,1,'float32',seed); for(let t=0;t<iters;t++){ v=tf.matMul(C,v); v=v.div(tf.norm(v).add(1e-8)); } return v; });
   }
 
   // ----------------------------- Reports & Recos ------------------------------
+  // Строка таблицы для плотного индекса фильма
+  function itemRow(i, rating, extra = {}) {
+    const raw=ST.revItem[i]; const meta=ST.items.get(raw);
+    return {i, rawItemId:raw, title:meta?.title||`Movie ${raw}`, year:meta?.year??'—', rating, ...extra};
+  }
+
   function getTop10Historical() {
-    const out=[]; for (let i=0;i<ST.revItem.length;i++){ const cnt=ST.itemCnt[i]; if (cnt<CONFIG.minRatingsForHistoricalTop) continue;
-      const avg=ST.itemSum[i]/cnt; const raw=ST.revItem[i]; const meta=ST.items.get(raw);
-      out.push({i, rawItemId:raw, title:meta?.title||`Movie ${raw}`, year:meta?.year??'—', rating:avg, cnt});
-    }
-    out.sort((a,b)=> b.rating-a.rating || b.cnt-a.cnt); return out.slice(0,10);
+    return Pipeline.topKHistorical(ST.itemSum, ST.itemCnt, CONFIG.minRatingsForHistoricalTop, 10)
+      .map(({i, rating, cnt}) => itemRow(i, rating, {cnt}));
   }
 
   function getTopKContentBaseline(uIdx, K=CONFIG.topK) {
-    const seen=ST.userSeen.get(uIdx)||new Set(); const uVec=ST.userGenresDense[uIdx]; const scores=[];
-    for(let i=0;i<ST.revItem.length;i++){ if(seen.has(i)) continue; const gi=ST.itemGenresDense[i]; let s=0; for(let g=0;g<CONFIG.genreCount;g++) s += uVec[g]*gi[g];
-      if (s>0){ const raw=ST.revItem[i]; const meta=ST.items.get(raw); scores.push({i,rawItemId:raw,title:meta?.title||`Movie ${raw}`,year:meta?.year??'—',rating:s});}}
-    scores.sort((a,b)=> b.rating-a.rating); return scores.slice(0,K);
+    const seen=ST.userSeen.get(uIdx)||new Set();
+    return Pipeline.topKContent(ST.userGenresDense, ST.itemGenresDense, uIdx, K, seen).map(({i, score}) => itemRow(i, score));
   }
 
   async function getTopKDeep(uIdx, K=CONFIG.topK){
     await ensureTF_CPU();
     const seen=ST.userSeen.get(uIdx)||new Set();
-    const {indices,scores} = await ST.model.getTopKForUser(uIdx, Math.min(ST.revItem.length, Math.max(K*5,200)));
-    const out=[]; for(let k=0;k<indices.length && out.length<K;k++){ const i=indices[k]; if(seen.has(i)) continue; const raw=ST.revItem[i]; const meta=ST.items.get(raw);
-      out.push({i,rawItemId:raw,title:meta?.title||`Movie ${raw}`,year:meta?.year??'—',rating:scores[k]});}
-    return out;
+    return (await Pipeline.topKDeep(ST.model, uIdx, K, seen)).map(({i, score}) => itemRow(i, score));
   }
 
   function renderComparisonTables({ historical, baseline, deep }) {
@@ -352,7 +374,7 @@
       <tr><td>${idx+1}</td><td>${escapeHtml(r.title)}</td><td>${Number.isFinite(r.rating)?r.rating.toFixed(3):'—'}</td><td>${r.year??'—'}</td></tr>`
     ).join('');
     resultsEl.innerHTML = `
-      <h3>Top ${list.length} Recommendations for User ${rawUserId}</h3>
+      <h3>Top ${list.length} Recommendations for User ${rawUserId} (seed ${CONFIG.seed})</h3>
       <table><thead><tr><th>#</th><th>Title</th><th>Score</th><th>Year</th></tr></thead><tbody>${rows}</tbody></table>`;
   }
 
@@ -361,12 +383,19 @@
     try{
       setStatus('Loading data…');
       await ensureTF_CPU();
-      await Promise.all([loadItems(), loadRatings()]);
+      await loadDataset();
+      // модель прошлого набора не подходит к новым ID
+      if (ST.model) { ST.model.dispose(); ST.model = null; }
+      readSeed();
       buildMappingsAndAggregates();
       thinPositives(CONFIG.capPosPerUser);     // << ускоряем здесь
       buildGenreMatrices();
-      setStatus(`Loaded. Users=${ST.revUser.length}, Items=${ST.revItem.length}, Ratings=${ST.stats.nRatings}, TrainPairs=${ST.positives.length} (backend: ${ST.backend})`);
-      btnTrain && (btnTrain.disabled=false);
+      ST.demographics = Pipeline.buildDemographicFeatures(ST.dataset);
+      if (demoInput) demoInput.disabled = !ST.demographics;
+      demoReportHost.innerHTML = '';
+      const demo = ST.demographics ? `Demographics for ${ST.dataset.users.filter(Boolean).length} users` : 'No users file — no demographics';
+      setStatus(`Loaded ${ST.dataset.formatLabel}. Users=${ST.revUser.length}, Items=${ST.revItem.length}, Ratings=${ST.stats.nRatings}, TrainPairs=${ST.positives.length}. ${demo} (seed ${CONFIG.seed}, backend: ${ST.backend})`);
+      setButtonsDisabled(false);
       const historical = getTop10Historical();
       renderComparisonTables({ historical, baseline: [], deep: [] });
     }catch(e){ console.error(e); setStatus(`Load error: ${e?.message||e}`); }
@@ -375,6 +404,7 @@
   btnTrain && (btnTrain.onclick = async () => {
     try{
       if (!ST.revUser.length || !ST.revItem.length){ setStatus('Load data first'); return; }
+      if (readSeed() !== ST.thinSeed) { thinPositives(CONFIG.capPosPerUser); buildGenreMatrices(); }
       buildModel();
       await train();
     }catch(e){ console.error(e); setStatus(`Training error: ${e?.message||e}`); }
@@ -391,10 +421,18 @@
       renderComparisonTables({ historical, baseline, deep });
       renderRecommendations(deep, rawUser);
       await drawItemPCA();
-      setStatus(`Done (backend: ${ST.backend})`);
+      setStatus(`Done (seed ${CONFIG.seed}, backend: ${ST.backend})`);
     }catch(e){ console.error(e); setStatus(`Test error: ${e?.message||e}`); }
   });
 
+  btnCompare && (btnCompare.onclick = async () => {
+    try{
+      if (!ST.demographics){ setStatus('Load data with a users file (u.user / users.dat) first — the bundled data/ has none; put ML-100K u.user next to u.data'); return; }
+      readSeed();
+      await compareDemographics();
+    }catch(e){ console.error(e); setStatus(`Comparison error: ${e?.message||e}`); }
+  });
+
   function pickUserRaw(minPos=5){
     for (let u=0; u<ST.revUser.length; u++){
       if ((ST.userSeen.get(u)?.size || 0) >= minPos) return ST.revUser[u];
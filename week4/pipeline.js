@@ -0,0 +1,235 @@
+// pipeline.js
+// -----------------------------------------------------------------------------
+// Two-Tower pipeline without DOM: dataset → training pairs, genre and demographic
+// features → training epochs → top-K lists and retrieval metrics. app.js draws the
+// results, cli/train.js runs the same steps under Node. Needs tf, rng.js and
+// ../shared/metrics.js loaded first.
+// -----------------------------------------------------------------------------
+
+(function initPipeline(global) {
+  'use strict';
+
+  // Если позитивов с порогом posThreshold меньше — ослабляем порог до FALLBACK_THRESHOLD
+  const MIN_POSITIVES = 1000;
+  const FALLBACK_THRESHOLD = 3;
+
+  // Нижние границы возрастных корзин, как коды возраста в users.dat (1M): <18, 18–24, …, 56+
+  const AGE_EDGES = [18, 25, 35, 45, 50, 56];
+  const GENDERS = ['M', 'F'];
+  // Первая цифра почтового индекса США (регион) + «прочее» для пустых и нецифровых (Канада и т.п.)
+  const ZIP_REGIONS = 11;
+
+  /**
+   * Позитивные пары (u,i) и агрегаты рейтингов по фильмам.
+   * @param {Dataset} ds MovieLens.loadDataset / readDatasetFiles
+   * @param {number} posThreshold
+   * @returns {{positives:{u:number,i:number}[], userSeen:Map<number,Set<number>>, itemSum:Float32Array, itemCnt:Uint32Array}}
+   */
+  function preparePairs(ds, posThreshold) {
+    const I = ds.itemRawIds.length;
+    const itemSum = new Float32Array(I);
+    const itemCnt = new Uint32Array(I);
+    const userSeen = new Map();
+    let positives = [];
+
+    for (const {u,i,r} of ds.ratings) {
+      if (!userSeen.has(u)) userSeen.set(u,new Set());
+      userSeen.get(u).add(i);
+      if (r >= posThreshold) positives.push({u,i});
+      itemSum[i] += r; itemCnt[i] += 1;
+    }
+
+    if (positives.length < MIN_POSITIVES) { // запасной план: ослабляем порог
+      positives = [];
+      for (const {u,i,r} of ds.ratings) if (r >= FALLBACK_THRESHOLD) positives.push({u,i});
+    }
+    return { positives, userSeen, itemSum, itemCnt };
+  }
+
+  /**
+   * Тонкая выборка позитивов — режем хвосты по пользователям до cap (случайно, от seed).
+   * @returns {{u:number,i:number}[]} positives как есть, если cap <= 0
+   */
+  function thinPositives(positives, cap, seed) {
+    if (!cap || cap <= 0) return positives;
+    const rand = createRng(seed, TWO_TOWER_RNG_STREAMS.thin);
+    const perUser = new Map();
+    for (const p of positives) {
+      if (!perUser.has(p.u)) perUser.set(p.u, []);
+      perUser.get(p.u).push(p.i);
+    }
+    const out = [];
+    for (const [u, items] of perUser) {
+      // случайно перетасуем и обрежем
+      shuffleInPlace(items, rand);
+      const take = Math.min(items.length, cap);
+      for (let t=0; t<take; t++) out.push({u, i: items[t]});
+    }
+    return out;
+  }
+
+  /**
+   * Отложенная выборка для оценки: у каждого пользователя с ≥ 2 позитивами случайная доля
+   * holdout его позитивов (минимум один) уходит в heldOut, остальные — в train.
+   * @returns {{train:{u:number,i:number}[], heldOut:Map<number,Set<number>>}}
+   */
+  function splitHoldout(positives, holdout, seed) {
+    const rand = createRng(seed, TWO_TOWER_RNG_STREAMS.split);
+    const perUser = new Map();
+    for (const p of positives) {
+      if (!perUser.has(p.u)) perUser.set(p.u, []);
+      perUser.get(p.u).push(p.i);
+    }
+    const train = [], heldOut = new Map();
+    for (const [u, items] of perUser) {
+      shuffleInPlace(items, rand);
+      const nOut = items.length < 2 ? 0 : Math.max(1, Math.round(items.length * holdout));
+      if (nOut) heldOut.set(u, new Set(items.slice(0, nOut)));
+      for (let t=nOut; t<items.length; t++) train.push({u, i: items[t]});
+    }
+    return { train, heldOut };
+  }
+
+  /**
+   * Жанровые признаки башен: жанры фильма и жанровый профиль пользователя по его позитивам,
+   * строки L2-нормированы.
+   * @returns {{itemGenres:number[][], userGenres:number[][]}}
+   */
+  function buildGenreFeatures(ds, positives, genreCount) {
+    const U = ds.userRawIds.length, G = genreCount;
+    const itemGenres = ds.movies.map(m => Array.from(m.genreVec).slice(0,G));
+    const userGenres = Array.from({length:U}, ()=>Array(G).fill(0));
+    for (const {u,i} of positives) {
+      const g = itemGenres[i];
+      for (let k=0;k<G;k++) userGenres[u][k] += g[k];
+    }
+    const l2 = row => { let s=0; for (const v of row) s+=v*v; const d=Math.sqrt(s)||1; return row.map(v=>v/d); };
+    return { itemGenres: itemGenres.map(l2), userGenres: userGenres.map(l2) };
+  }
+
+  /**
+   * Демографические признаки башни пользователя из ds.users (u.user / users.dat), по one-hot блоку
+   * на признак: возрастная корзина, пол, профессия (словарь — все профессии файла), регион по
+   * первой цифре индекса. У пользователя без строки в файле все блоки нулевые.
+   * @param {Dataset} ds
+   * @returns {{age:number[][], gender:number[][], occupation:number[][], zip:number[][]}|null} null без файла пользователей
+   */
+  function buildDemographicFeatures(ds) {
+    if (!ds.users) return null;
+    const occupations = Array.from(new Set(ds.users.filter(Boolean).map(x => x.occupation))).sort();
+    const occIndex = new Map(occupations.map((o, k) => [o, k]));
+    const oneHot = (size, k) => { const row = Array(size).fill(0); if (k >= 0) row[k] = 1; return row; };
+
+    const blocks = { age: [], gender: [], occupation: [], zip: [] };
+    for (const x of ds.users) {
+      const ageBucket = x ? AGE_EDGES.filter(edge => x.age >= edge).length : -1;
+      const region = x ? (/^\d/.test(x.zip) ? Number(x.zip[0]) : ZIP_REGIONS - 1) : -1;
+      blocks.age.push(oneHot(AGE_EDGES.length + 1, ageBucket));
+      blocks.gender.push(oneHot(GENDERS.length, x ? GENDERS.indexOf(x.gender) : -1));
+      blocks.occupation.push(oneHot(occupations.length, x ? occIndex.get(x.occupation) : -1));
+      blocks.zip.push(oneHot(ZIP_REGIONS, region));
+    }
+    return blocks;
+  }
+
+  function* batchIterator(pairs, batch, rand) {
+    const idx = pairs.map((_,i)=>i);
+    shuffleInPlace(idx, rand);
+    for (let s=0;s<idx.length;s+=batch) {
+      const e = Math.min(idx.length, s+batch);
+      const u = new Int32Array(e-s), it = new Int32Array(e-s);
+      for (let b=0;b<e-s;b++){ const p = pairs[idx[s+b]]; u[b]=p.u; it[b]=p.i; }
+      yield { users: u, items: it, size: e-s };
+    }
+  }
+
+  /**
+   * Эпохи обучения по парам; onBatch вызывается (и ожидается) после каждого батча.
+   * @param {TwoTowerModel} model
+   * @param {{u:number,i:number}[]} pairs
+   * @param {{epochs:number, batchSize:number, seed:number,
+   *   onBatch?:(p:{epoch:number, batch:number, loss:number, meanLoss:number, done:number, total:number}) => (void|Promise<void>)}} opts
+   * @returns {Promise<{lossHistory:number[], epochLoss:number[]}>} loss каждого батча и средний loss эпох
+   */
+  async function trainEpochs(model, pairs, { epochs, batchSize, seed, onBatch = null }) {
+    const total = Math.ceil(pairs.length / batchSize) * epochs;
+    const rand = createRng(seed, TWO_TOWER_RNG_STREAMS.batches);
+    const lossHistory = [], epochLoss = [];
+    let done = 0;
+
+    for (let ep=1; ep<=epochs; ep++) {
+      let sum=0, cnt=0, batch=0;
+      for (const bt of batchIterator(pairs, batchSize, rand)) {
+        const loss = await model.trainStep(bt.users, bt.items);
+        sum += loss * bt.size; cnt += bt.size; lossHistory.push(loss);
+        done++; batch++;
+        if (onBatch) await onBatch({ epoch: ep, batch, loss, meanLoss: sum/cnt, done, total });
+      }
+      epochLoss.push(cnt ? sum/cnt : NaN);
+      await new Promise(r=>setTimeout(r,0));
+    }
+    return { lossHistory, epochLoss };
+  }
+
+  // ----------------------------- Top-K ----------------------------------------
+
+  /**
+   * Топ-K модели без уже просмотренного.
+   * @returns {Promise<{i:number, score:number}[]>}
+   */
+  async function topKDeep(model, uIdx, K, seen = new Set()) {
+    const {indices,scores} = await model.getTopKForUser(uIdx, Math.min(model.numItems, Math.max(K*5,200, K+seen.size)));
+    const out=[]; for(let k=0;k<indices.length && out.length<K;k++){ const i=indices[k]; if(seen.has(i)) continue; out.push({i, score:scores[k]}); }
+    return out;
+  }
+
+  /**
+   * Бейзлайн без DL: косинус жанрового профиля пользователя и жанров фильма (только > 0).
+   * @returns {{i:number, score:number}[]}
+   */
+  function topKContent(userGenres, itemGenres, uIdx, K, seen = new Set()) {
+    const uVec=userGenres[uIdx]; const scores=[];
+    for(let i=0;i<itemGenres.length;i++){ if(seen.has(i)) continue; const gi=itemGenres[i]; let s=0; for(let g=0;g<uVec.length;g++) s += uVec[g]*gi[g];
+      if (s>0) scores.push({i, score:s}); }
+    scores.sort((a,b)=> b.score-a.score); return scores.slice(0,K);
+  }
+
+  /**
+   * Лучшие по среднему рейтингу среди фильмов с ≥ minCount оценками.
+   * @returns {{i:number, rating:number, cnt:number}[]}
+   */
+  function topKHistorical(itemSum, itemCnt, minCount, K) {
+    const out=[]; for (let i=0;i<itemCnt.length;i++){ const cnt=itemCnt[i]; if (cnt<minCount) continue; out.push({i, rating:itemSum[i]/cnt, cnt}); }
+    out.sort((a,b)=> b.rating-a.rating || b.cnt-a.cnt); return out.slice(0,K);
+  }
+
+  // ----------------------------- Evaluation -----------------------------------
+
+  /**
+   * Качество ретривала на отложенных позитивах (../shared/metrics.js). Из ранжирования убраны
+   * фильмы, которые пользователь оценил, кроме отложенных.
+   * @param {(u:number, K:number, exclude:Set<number>) => Promise<{i:number}[]>|{i:number}[]} rank топ-K для пользователя
+   * @param {Map<number,Set<number>>} heldOut
+   * @param {Map<number,Set<number>>} userSeen
+   * @param {number} nItems
+   * @param {number} K
+   * @returns {Promise<{users:number,precision:number,recall:number,ndcg:number,map:number,hitRate:number,coverage:number}>}
+   */
+  async function evaluateRetrieval(rank, heldOut, userSeen, nItems, K) {
+    const acc = createRankingAccumulator(nItems);
+    for (const [u, relevant] of heldOut) {
+      const exclude = new Set();
+      for (const i of userSeen.get(u) || []) if (!relevant.has(i)) exclude.add(i);
+      const top = await rank(u, K, exclude);
+      acc.add(top.map(x => x.i), relevant, K);
+    }
+    return acc.result();
+  }
+
+  const Pipeline = {
+    preparePairs, thinPositives, splitHoldout, buildGenreFeatures, buildDemographicFeatures, batchIterator, trainEpochs,
+    topKDeep, topKContent, topKHistorical, evaluateRetrieval
+  };
+  global.Pipeline = Pipeline;
+  if (typeof module === 'object' && module.exports) module.exports = Pipeline;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,16 @@
+// rng.js
+// -----------------------------------------------------------------------------
+// Потоки seed для Two-Tower; генератор (createRng, nextTensorSeed, shuffleInPlace) — в
+// ../shared/rng.js. Один seed → одинаковые выборки, перемешивания, негативы и
+// инициализация весов, а значит и одинаковые метрики.
+// -----------------------------------------------------------------------------
+
+(function initTwoTowerRng(global) {
+  'use strict';
+
+  // Независимые потоки из одного seed: сколько чисел съел один этап, не влияет на другой
+  const TWO_TOWER_RNG_STREAMS = { thin: 1, batches: 2, model: 3, pca: 4, split: 5 };
+
+  global.TWO_TOWER_RNG_STREAMS = TWO_TOWER_RNG_STREAMS;
+  if (typeof module === 'object' && module.exports) module.exports = { TWO_TOWER_RNG_STREAMS };
+})(typeof window !== 'undefined' ? window : globalThis);
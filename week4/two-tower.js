@@ -19,7 +19,7 @@
      * @param {number} numUsers
      * @param {number} numItems
      * @param {number} embDim
-     * @param {{lossType?:'softmax'|'bpr', lr?:number, userHidden?:number, itemHidden?:number, l2?:number, normalize?:boolean}} opts
+     * @param {{lossType?:'softmax'|'bpr', lr?:number, userHidden?:number, itemHidden?:number, l2?:number, normalize?:boolean, seed?:number}} opts
      */
     constructor(numUsers, numItems, embDim, opts = {}) {
       if (typeof tf === 'undefined') {
@@ -36,23 +36,32 @@
       this.l2        = Number.isFinite(opts.l2) ? opts.l2 : 1e-4;
       this.normalize = opts.normalize !== false;
 
+      // Случайность модели (инициализация + BPR-негативы): seed → воспроизводимо, иначе Math.random
+      this.seed = Number.isFinite(opts.seed) ? opts.seed : null;
+      if (this.seed != null && typeof createRng === 'undefined') {
+        throw new Error('rng.js not loaded. Include <script src="../shared/rng.js"></script> and <script src="rng.js"></script> before two-tower.js');
+      }
+      this._rand = this.seed != null ? createRng(this.seed, TWO_TOWER_RNG_STREAMS.model) : Math.random;
+
       // ID-таблицы (lookup)
       this.userEmbedding = tf.variable(
-        tf.randomNormal([this.numUsers, this.embDim], 0, 0.05, 'float32'),
+        tf.randomNormal([this.numUsers, this.embDim], 0, 0.05, 'float32', this._tensorSeed()),
         true, 'userEmbedding'
       );
       this.itemEmbedding = tf.variable(
-        tf.randomNormal([this.numItems, this.embDim], 0, 0.05, 'float32'),
+        tf.randomNormal([this.numItems, this.embDim], 0, 0.05, 'float32', this._tensorSeed()),
         true, 'itemEmbedding'
       );
 
       // Жанры
       this.itemGenreMat = null; // Tensor2D [numItems, 19]
-      this.userGenreMat = null; // Tensor2D [numUsers, 19] (опц.)
       this.numGenres = 0;
+      // Признаки пользователя по именам: 'genres' [numUsers, 19], 'age', 'occupation', … (опц.)
+      /** @type {Map<string, tf.Tensor2D>} */
+      this.userFeatureMats = new Map();
 
       // MLP-слои (создаются лениво)
-      this._userDense1 = null; this._userOut = null;
+      this._userDense1 = null; this._userOut = null; this._userInDim = 0;
       this._itemDense1 = null; this._itemOut = null;
 
       this.optimizer = tf.train.adam(this.lr);
@@ -61,10 +70,14 @@
 
     // ------------------------------ Features ----------------------------------
     /**
-     * @param {{itemGenres: tf.Tensor2D|number[][]|Float32Array, userGenres?: tf.Tensor2D|number[][]|Float32Array, normalizeRows?: boolean}} p
+     * Признаки башен. userGenres — то же, что userFeatures.genres. userFeatures: именованные блоки
+     * [numUsers, d], башня пользователя склеивает их по порядку добавления; null убирает блок.
+     * Набор блоков и их ширина фиксируются первым проходом башни.
+     * @param {{itemGenres?: tf.Tensor2D|number[][]|Float32Array, userGenres?: tf.Tensor2D|number[][]|Float32Array,
+     *   userFeatures?: Record<string, tf.Tensor2D|number[][]|Float32Array|null>, normalizeRows?: boolean}} p
      */
     setFeatures(p = {}) {
-      const { itemGenres, userGenres, normalizeRows = true } = p;
+      const { itemGenres, userGenres, userFeatures = {}, normalizeRows = true } = p;
 
       const to2D = (data, rows) => {
         if (data == null) return null;
@@ -78,18 +91,38 @@
         throw new Error('Unsupported feature type');
       };
 
+      // Сначала новая матрица, потом dispose старой: вход может быть самой старой матрицей
+      // (setFeatures({ itemGenres: model.itemGenreMat }))
+      const prepare = (data, rows) => {
+        let mat = to2D(data, rows);
+        if (normalizeRows) {
+          const raw = mat;
+          mat = l2NormalizeRows(raw);
+          if (raw !== data) raw.dispose();
+        }
+        return mat;
+      };
+      const replace = (old, mat) => { if (old && old !== mat) old.dispose(); return mat; };
+
       if (itemGenres) {
-        this.itemGenreMat?.dispose();
-        this.itemGenreMat = to2D(itemGenres, this.numItems);
+        this.itemGenreMat = replace(this.itemGenreMat, prepare(itemGenres, this.numItems));
         this.numGenres = this.itemGenreMat.shape[1] | 0;
-        if (normalizeRows) this.itemGenreMat = l2NormalizeRows(this.itemGenreMat);
       }
-      if (userGenres) {
-        this.userGenreMat?.dispose();
-        this.userGenreMat = to2D(userGenres, this.numUsers);
-        if (normalizeRows) this.userGenreMat = l2NormalizeRows(this.userGenreMat);
-        if (!this.numGenres) this.numGenres = this.userGenreMat.shape[1] | 0;
+      const blocks = userGenres ? { genres: userGenres, ...userFeatures } : userFeatures;
+      for (const [name, data] of Object.entries(blocks)) {
+        if (data == null) {
+          this.userFeatureMats.get(name)?.dispose();
+          this.userFeatureMats.delete(name);
+          continue;
+        }
+        const mat = prepare(data, this.numUsers);
+        if (mat.shape[0] !== this.numUsers) {
+          if (mat !== data) mat.dispose();
+          throw new Error(`User feature "${name}" has ${mat.shape[0]} rows, expected ${this.numUsers}`);
+        }
+        this.userFeatureMats.set(name, replace(this.userFeatureMats.get(name), mat));
       }
+      if (!this.numGenres && this.userFeatureMats.has('genres')) this.numGenres = this.userFeatureMats.get('genres').shape[1] | 0;
 
       this._invalidateItemCache();
     }
@@ -99,21 +132,25 @@
       return tf.tidy(() => {
         const idEmb = tf.gather(this.userEmbedding, userIdxInt32); // [B,D]
         let feats = idEmb;
-        if (this.userGenreMat) {
-          const uGenres = tf.gather(this.userGenreMat, userIdxInt32); // [B,G]
-          feats = tf.concat([idEmb, uGenres], 1); // [B,D+G]
+        if (this.userFeatureMats.size) {
+          const parts = [idEmb];
+          for (const mat of this.userFeatureMats.values()) parts.push(tf.gather(mat, userIdxInt32)); // [B,d]
+          feats = tf.concat(parts, 1); // [B,D+Σd]
         }
 
+        if (this._userDense1 && feats.shape[1] !== this._userInDim) {
+          throw new Error(`User tower was built for ${this._userInDim} input features, got ${feats.shape[1]}: set user features before training`);
+        }
         if (!this._userDense1) {
-          const inDim = feats.shape[1];
+          const inDim = this._userInDim = feats.shape[1];
           this._userDense1 = tf.layers.dense({
             units: this.userHidden, activation: 'relu',
-            kernelInitializer: 'glorotUniform', biasInitializer: 'zeros',
+            kernelInitializer: this._glorot(), biasInitializer: 'zeros',
             name: 'user_dense_1'
           });
           this._userOut = tf.layers.dense({
             units: this.embDim, activation: null,
-            kernelInitializer: 'glorotUniform', biasInitializer: 'zeros',
+            kernelInitializer: this._glorot(), biasInitializer: 'zeros',
             name: 'user_out'
           });
           this._userOut.apply(this._userDense1.apply(tf.zeros([1, inDim])));
@@ -140,12 +177,12 @@
           const inDim = feats.shape[1];
           this._itemDense1 = tf.layers.dense({
             units: this.itemHidden, activation: 'relu',
-            kernelInitializer: 'glorotUniform', biasInitializer: 'zeros',
+            kernelInitializer: this._glorot(), biasInitializer: 'zeros',
             name: 'item_dense_1'
           });
           this._itemOut = tf.layers.dense({
             units: this.embDim, activation: null,
-            kernelInitializer: 'glorotUniform', biasInitializer: 'zeros',
+            kernelInitializer: this._glorot(), biasInitializer: 'zeros',
             name: 'item_out'
           });
           this._itemOut.apply(this._itemDense1.apply(tf.zeros([1, inDim])));
@@ -273,13 +310,21 @@
       if (this._cachedItemEmb) { this._cachedItemEmb.dispose(); this._cachedItemEmb = null; }
     }
 
+    _tensorSeed() {
+      return nextTensorSeed(this._rand);
+    }
+
+    _glorot() {
+      return tf.initializers.glorotUniform({ seed: this._tensorSeed() });
+    }
+
     _sampleNegatives(posItemIdxs) {
       const B = posItemIdxs.length | 0;
       const out = new Int32Array(B);
       for (let k = 0; k < B; k++) {
         const pos = posItemIdxs[k] | 0;
         let neg = pos;
-        while (neg === pos) neg = (Math.random() * this.numItems) | 0;
+        while (neg === pos) neg = (this._rand() * this.numItems) | 0;
         out[k] = neg;
       }
       return out;
@@ -289,7 +334,8 @@
       this.userEmbedding?.dispose();
       this.itemEmbedding?.dispose();
       this.itemGenreMat?.dispose();
-      this.userGenreMat?.dispose();
+      for (const mat of this.userFeatureMats.values()) mat.dispose();
+      this.userFeatureMats.clear();
       this._cachedItemEmb?.dispose();
       for (const l of [this._userDense1, this._userOut, this._itemDense1, this._itemOut]) {
         if (l && Array.isArray(l.trainableWeights)) {
@@ -302,4 +348,5 @@
   }
 
   global.TwoTowerModel = TwoTowerModel;
+  if (typeof module === 'object' && module.exports) module.exports = { TwoTowerModel };
 })(typeof window !== 'undefined' ? window : globalThis);